@@ -3,33 +3,47 @@
  * Handles communication with the ZenMux API for LLM responses
  */
 const ZenMuxAPI = {
+    logprobsSupported: null, // false once the provider has rejected the logprobs parameter
+
+    /**
+     * Build the message list sent to the model
+     * @param {string} prompt - User prompt
+     * @param {string} systemPrompt - System prompt
+     * @returns {Object[]} Array of { role, content } messages
+     */
+    buildMessages(prompt, systemPrompt = CONFIG.api.systemPrompt) {
+        return [
+            { role: 'system', content: systemPrompt },
+            { role: 'user', content: prompt }
+        ];
+    },
+
     /**
      * Send a chat completion request with streaming
+     * Requests logprobs when enabled; providers that reject the parameter are retried without it
      * @param {string} prompt - User prompt
-     * @param {function} onToken - Callback for each token received
+     * @param {function} onToken - Callback for each chunk: (text, logprobs) where logprobs is the
+     *     chunk's logprobs.content array ({ token, logprob, top_logprobs }) or null
      * @param {function} onComplete - Callback when complete
      * @param {function} onError - Callback on error
      */
     async streamCompletion(prompt, onToken, onComplete, onError) {
         const url = `${CONFIG.api.baseUrl}/chat/completions`;
+        const withLogprobs = CONFIG.api.logprobs && this.logprobsSupported !== false;
 
         const body = {
             model: CONFIG.api.model,
-            messages: [
-                {
-                    role: 'system',
-                    content: 'You are a helpful, concise assistant. Keep responses brief and informative.'
-                },
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ],
+            messages: this.buildMessages(prompt),
             max_tokens: CONFIG.api.maxTokens,
             temperature: CONFIG.api.temperature,
             stream: true
         };
 
+        if (withLogprobs) {
+            body.logprobs = true;
+            body.top_logprobs = CONFIG.api.topLogprobs;
+        }
+
         try {
             const response = await fetch(url, {
                 method: 'POST',
@@ -42,6 +56,13 @@ const ZenMuxAPI = {
 
             if (!response.ok) {
                 const errorText = await response.text();
+
+                // Bad request that names logprobs: the provider doesn't support them; other errors surface as-is
+                if (withLogprobs && (response.status === 400 || response.status === 422) && /logprobs/i.test(errorText)) {
+                    console.warn('Provider rejected logprobs, retrying without them:', errorText);
+                    this.logprobsSupported = false;
+                    return this.streamCompletion(prompt, onToken, onComplete, onError);
+                }
                 throw new Error(`API Error: ${response.status} - ${errorText}`);
             }
 
@@ -73,10 +94,11 @@ const ZenMuxAPI = {
 
                         try {
                             const parsed = JSON.parse(data);
-                            const delta = parsed.choices?.[0]?.delta;
+                            const choice = parsed.choices?.[0];
+                            const delta = choice?.delta;
 
                             if (delta?.content) {
-                                onToken(delta.content);
+                                onToken(delta.content, choice.logprobs?.content || null);
                             }
                         } catch (e) {
                             // Skip invalid JSON (partial messages)
@@ -103,16 +125,7 @@ const ZenMuxAPI = {
 
         const body = {
             model: CONFIG.api.model,
-            messages: [
-                {
-                    role: 'system',
-                    content: 'You are a helpful, concise assistant.'
-                },
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ],
+            messages: this.buildMessages(prompt, 'You are a helpful, concise assistant.'),
             max_tokens: CONFIG.api.maxTokens,
             temperature: CONFIG.api.temperature,
             stream: false
@@ -36,7 +36,7 @@ const App = {
         this.elements.viewContents = document.querySelectorAll('.view-content');
 
         // Cache layer elements
-        ['tokenization', 'embeddings', 'attention', 'ffn', 'output'].forEach(layer => {
+        ['tokenization', 'embeddings', 'attention', 'ffn', 'blocks', 'output'].forEach(layer => {
             this.elements.layers[layer] = {
                 container: document.getElementById(`layer-${layer}`),
                 status: document.getElementById(`status-${layer}`)
@@ -45,11 +45,23 @@ const App = {
 
         // Initialize visualizers
         TokenizerVisualizer.init();
+        TokenizerComparison.init();
+        ChatTemplates.init();
         EmbeddingsVisualizer.init();
+        ProjectionPlot.init();
+        SimilarityExplorer.init();
+        PositionalEncoding.init();
         AttentionVisualizer.init();
         FFNVisualizer.init();
+        TransformerBlocks.init();
+        LogitLens.init();
         OutputVisualizer.init();
+        SamplingPlayground.init();
+        BeamSearch.init();
+        KVCache.init();
+        SpeculativeDecoder.init();
         NetworkDiagram.init();
+        ArchitecturePanel.init();
 
         // Bind events
         this.bindEvents();
@@ -159,10 +171,20 @@ const App = {
 
         // Clear visualizers
         TokenizerVisualizer.clear();
+        TokenizerComparison.clear();
         EmbeddingsVisualizer.clear();
+        ProjectionPlot.clear();
+        SimilarityExplorer.clear();
+        PositionalEncoding.clear();
         AttentionVisualizer.clear();
         FFNVisualizer.clear();
+        TransformerBlocks.clear();
+        LogitLens.clear();
         OutputVisualizer.clear();
+        SamplingPlayground.clear();
+        BeamSearch.clear();
+        KVCache.clear();
+        SpeculativeDecoder.clear();
         NetworkDiagram.clear();
 
         // Clear response
@@ -190,6 +212,7 @@ const App = {
         this.reset();
         this.elements.submitBtn.disabled = true;
         this.isProcessing = true;
+        PositionalEncoding.setLocked(true);
 
         try {
             // Run network diagram animation in parallel if in network view
@@ -214,7 +237,10 @@ const App = {
             // Step 4: FFN
             await this.runFFN();
 
-            // Step 5: Output Generation (streaming from API)
+            // Step 5: Residual stream through all blocks
+            await this.runBlocks();
+
+            // Step 6: Output Generation (streaming from API)
             await this.runOutputGeneration(prompt);
 
         } catch (error) {
@@ -223,6 +249,7 @@ const App = {
         } finally {
             this.isProcessing = false;
             this.elements.submitBtn.disabled = false;
+            PositionalEncoding.setLocked(false);
             this.elements.responseCursor.classList.remove('active');
         }
     },
@@ -233,8 +260,14 @@ const App = {
     async runTokenization(prompt) {
         this.updateLayerStatus('tokenization', 'active', 'Processing');
 
-        TokenizerVisualizer.tokenize(prompt);
+        // Wait for vocab/merges (resolves immediately once loaded or failed)
+        await BPETokenizer.load();
+
+        // Tokenize exactly what the model receives: the templated message list
+        const rendered = ChatTemplates.render(ZenMuxAPI.buildMessages(prompt));
+        TokenizerVisualizer.tokenize(rendered, ChatTemplates.getSpecialTokens());
         await TokenizerVisualizer.animate();
+        await TokenizerComparison.render(prompt);
 
         this.updateLayerStatus('tokenization', 'completed', `${TokenizerVisualizer.getTokens().length} tokens`);
         await this.delay(getTiming('layerTransition'));
@@ -248,6 +281,11 @@ const App = {
 
         const tokens = TokenizerVisualizer.getTokens();
         await EmbeddingsVisualizer.animate(tokens);
+        await ProjectionPlot.animate(EmbeddingsVisualizer.getEmbeddings());
+        await SimilarityExplorer.animate(EmbeddingsVisualizer.getEmbeddings());
+
+        // Sub-step: add (or rotate in) position information
+        await PositionalEncoding.animate(EmbeddingsVisualizer.getEmbeddings());
 
         this.updateLayerStatus('embeddings', 'completed', 'Encoded');
         await this.delay(getTiming('layerTransition'));
@@ -260,7 +298,7 @@ const App = {
         this.updateLayerStatus('attention', 'active', 'Computing');
 
         const tokens = TokenizerVisualizer.getTokens();
-        await AttentionVisualizer.animate(tokens);
+        await AttentionVisualizer.animate(tokens, EmbeddingsVisualizer.getEmbeddings());
 
         this.updateLayerStatus('attention', 'completed', 'Computed');
         await this.delay(getTiming('layerTransition'));
@@ -279,11 +317,27 @@ const App = {
     },
 
     /**
-     * Step 5: Output Generation with API streaming
+     * Step 5: Transformer blocks
+     */
+    async runBlocks() {
+        this.updateLayerStatus('blocks', 'active', 'Stacking');
+
+        await TransformerBlocks.animate();
+        await LogitLens.animate();
+
+        this.updateLayerStatus('blocks', 'completed', `${CONFIG.model.blocks} blocks`);
+        await this.delay(getTiming('layerTransition'));
+    },
+
+    /**
+     * Step 6: Output Generation with API streaming
      */
     async runOutputGeneration(prompt) {
         return new Promise((resolve, reject) => {
             this.updateLayerStatus('output', 'active', 'Generating');
+            SamplingPlayground.show();
+            BeamSearch.show();
+            KVCache.start();
 
             // Show cursor
             this.elements.responseCursor.classList.add('active');
@@ -291,38 +345,49 @@ const App = {
             let tokenCount = 0;
             let firstToken = true;
 
-            ZenMuxAPI.streamCompletion(
-                prompt,
-                // On each token
-                (token) => {
-                    tokenCount++;
-
-                    // Append to response
-                    this.elements.responseOutput.textContent += token;
-
-                    // Show probability visualization for first few tokens
-                    if (firstToken) {
-                        firstToken = false;
-                        OutputVisualizer.animate(token.trim());
-                    } else {
-                        OutputVisualizer.quickUpdate(token);
-                    }
-
-                    // Update status
-                    this.updateLayerStatus('output', 'active', `${tokenCount} tokens`);
-                },
-                // On complete
-                () => {
-                    this.updateLayerStatus('output', 'completed', `${tokenCount} tokens`);
-                    this.elements.responseCursor.classList.remove('active');
-                    resolve();
-                },
-                // On error
-                (error) => {
-                    this.updateLayerStatus('output', 'waiting', 'Error');
-                    reject(error);
+            // On each token
+            const onToken = (token, logprobs) => {
+                tokenCount++;
+
+                // Keep the chunk's distributions and append it to the response
+                const index = OutputVisualizer.record(token, logprobs);
+
+                // Autoregressive mode: feed the new tokens back through the local model
+                KVCache.append(OutputVisualizer.history.slice(index).map(entry => entry.text));
+
+                // Show probability visualization for the first token; later ones can be replayed by clicking
+                if (firstToken) {
+                    firstToken = false;
+                    OutputVisualizer.animate(index);
+                } else {
+                    OutputVisualizer.quickUpdate(token);
                 }
-            );
+
+                // Update status
+                this.updateLayerStatus('output', 'active', `${tokenCount} tokens`);
+            };
+
+            // On complete
+            const onComplete = () => {
+                this.updateLayerStatus('output', 'completed', `${tokenCount} tokens`);
+                this.elements.responseCursor.classList.remove('active');
+                resolve();
+            };
+
+            // On error
+            const onError = (error) => {
+                this.updateLayerStatus('output', 'waiting', 'Error');
+                reject(error);
+            };
+
+            // Offline: the speculative decoder's tokens stream to the response instead of the API's
+            if (CONFIG.speculative.stream) {
+                SpeculativeDecoder.show(onToken).then(onComplete, onError);
+                return;
+            }
+            SpeculativeDecoder.show();
+
+            ZenMuxAPI.streamCompletion(prompt, onToken, onComplete, onError);
         });
     },
 
@@ -0,0 +1,250 @@
+/**
+ * Architecture Panel Module
+ * Edits the FFN, embedding and network diagram sizes in-app, rebuilds the
+ * affected views live and shows the resulting parameter count
+ */
+const ArchitecturePanel = {
+    fieldsEl: null,
+    paramsEl: null,
+    infoEl: null,
+    networkInput: null,
+    networkError: null, // Validation message of the last rejected diagram input
+
+    // Editable CONFIG.visualization sizes and their allowed ranges
+    fields: {
+        ffnLayers: { label: 'FFN layers', min: 2, max: 6 },
+        ffnNeuronsPerLayer: { label: 'FFN neurons / layer', min: 1, max: 10 },
+        embeddingDimensions: { label: 'Embedding bars', min: 1, max: 32 }
+    },
+
+    /**
+     * Initialize the panel and its controls
+     */
+    init() {
+        this.fieldsEl = document.getElementById('architecture-fields');
+        this.paramsEl = document.getElementById('architecture-params');
+        this.infoEl = document.getElementById('architecture-info');
+        this.networkInput = document.getElementById('architecture-network');
+
+        if (this.fieldsEl) {
+            this.fieldsEl.innerHTML = Object.entries(this.fields).map(([key, field]) => `
+                <label class="architecture-field">
+                    <span>${field.label}</span>
+                    <input type="range" class="architecture-range" data-key="${key}" min="${field.min}" max="${field.max}" step="1">
+                    <input type="number" class="layer-input narrow" data-key="${key}" min="${field.min}" max="${field.max}" step="1">
+                </label>
+            `).join('');
+
+            this.fieldsEl.addEventListener('input', (e) => {
+                if (e.target.classList.contains('architecture-range')) {
+                    this.set(e.target.dataset.key, e.target.value);
+                }
+            });
+            this.fieldsEl.addEventListener('change', (e) => {
+                if (e.target.dataset.key) {
+                    this.set(e.target.dataset.key, e.target.value);
+                }
+            });
+        }
+
+        if (this.networkInput) {
+            this.networkInput.addEventListener('change', () => this.setNetwork(this.networkInput.value));
+        }
+
+        // Other layers' controls (blocks, activation, MoE) also change the parameter count
+        document.addEventListener('change', () => this.updateParams());
+        EmbeddingsVisualizer.load().then(() => {
+            this.syncControls();
+            this.updateParams();
+        });
+
+        this.syncControls();
+        this.updateParams();
+    },
+
+    /**
+     * Allowed range of a field (embedding bars cannot exceed the vector size)
+     * @param {string} key - Field key
+     * @returns {Object} { min, max }
+     */
+    getRange(key) {
+        const { min, max } = this.fields[key];
+        if (key === 'embeddingDimensions') {
+            return { min, max: Math.min(max, EmbeddingsVisualizer.getDimensionCount()) };
+        }
+        return { min, max };
+    },
+
+    /**
+     * Current value of a field (an explicit embedding dimension list counts as its length)
+     * @param {string} key - Field key
+     * @returns {number}
+     */
+    getValue(key) {
+        const value = CONFIG.visualization[key];
+        return Array.isArray(value) ? value.length : value;
+    },
+
+    /**
+     * Write the current values into the sliders, number inputs and diagram input
+     */
+    syncControls() {
+        if (this.fieldsEl) {
+            this.fieldsEl.querySelectorAll('input[data-key]').forEach(input => {
+                const { min, max } = this.getRange(input.dataset.key);
+                input.min = min;
+                input.max = max;
+                input.value = this.getValue(input.dataset.key);
+            });
+        }
+        if (this.networkInput && !this.networkError) {
+            this.networkInput.value = NetworkDiagram.layers.map(layer => layer.nodes).join(', ');
+            this.networkInput.classList.remove('invalid');
+        }
+    },
+
+    /**
+     * Validate and apply one size, then rebuild the views that use it
+     * Non-integers are rounded and out-of-range values clamped
+     * @param {string} key - Field key
+     * @param {string|number} raw - Input value
+     */
+    set(key, raw) {
+        const { min, max } = this.getRange(key);
+        const parsed = Math.round(Number(raw));
+        const value = Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : this.getValue(key);
+
+        const changed = value !== CONFIG.visualization[key];
+        CONFIG.visualization[key] = value;
+        this.syncControls();
+        this.updateParams();
+
+        if (changed) {
+            this.rebuild(key);
+        }
+    },
+
+    /**
+     * Parse and apply the network diagram layer sizes ("5, 8, 10, 3")
+     * Invalid input is kept in the field, marked and explained, and the diagram is left unchanged
+     * @param {string} text - Comma-separated node counts
+     */
+    setNetwork(text) {
+        const sizes = text.split(/[\s,]+/).filter(Boolean).map(Number);
+
+        try {
+            NetworkDiagram.setLayers(sizes);
+            this.networkError = null;
+        } catch (error) {
+            this.networkError = error.message;
+            this.networkInput.classList.add('invalid');
+            this.updateParams();
+            return;
+        }
+
+        this.syncControls();
+        this.updateParams();
+    },
+
+    /**
+     * Rebuild the views that depend on a field
+     * While a run is in progress the new value is only picked up by the steps still to come
+     * @param {string} key - Field key
+     */
+    rebuild(key) {
+        if (App.isProcessing) return;
+
+        if (key === 'embeddingDimensions') {
+            const embeddings = EmbeddingsVisualizer.getEmbeddings();
+            if (embeddings.length > 0) {
+                EmbeddingsVisualizer.animate(embeddings.map(e => e.token))
+                    .then(() => PositionalEncoding.animate(EmbeddingsVisualizer.getEmbeddings()));
+                TransformerBlocks.render();
+            }
+            return;
+        }
+
+        // The FFN depth is part of the simulated model, so it needs a new forward pass
+        if (key === 'ffnLayers') {
+            AttentionVisualizer.recompute();
+        }
+        FFNVisualizer.rebuild();
+    },
+
+    /**
+     * Parameter count of the simulated model and the network diagram
+     * Norms use unit gain and zero bias, so they add no parameters
+     * @returns {Object} { embeddings, attention, ffn, total, active, diagram }
+     */
+    countParameters() {
+        const d = EmbeddingsVisualizer.getDimensionCount();
+        const { blocks, headDim, ffnDim, activation, moe } = CONFIG.model;
+        const heads = CONFIG.visualization.attentionHeads;
+        const vocab = EmbeddingsVisualizer.table ? EmbeddingsVisualizer.table.size : 0;
+
+        // Layer sizes of one FFN: d → ffnDim … → d; SwiGLU doubles every hidden matrix
+        const sizes = [d, ...new Array(Math.max(2, CONFIG.visualization.ffnLayers) - 2).fill(ffnDim), d];
+        const ffnSize = sizes.slice(1).reduce((sum, fanOut, l) => {
+            const gated = activation === 'swiglu' && l < sizes.length - 2;
+            return sum + sizes[l] * fanOut * (gated ? 2 : 1);
+        }, 0);
+
+        const attention = 4 * d * heads * headDim; // Q, K, V and the output projection
+        const experts = moe.enabled ? moe.experts : 1;
+        const routed = moe.enabled ? Math.min(moe.topK, moe.experts) : 1;
+        const router = moe.enabled ? d * moe.experts : 0;
+
+        const embeddings = vocab * d;
+        const ffn = blocks * (experts * ffnSize + router);
+        const total = embeddings + blocks * attention + ffn;
+        const diagram = NetworkDiagram.layers.slice(1)
+            .reduce((sum, layer, l) => sum + NetworkDiagram.layers[l].nodes * layer.nodes, 0);
+
+        return {
+            embeddings,
+            attention: blocks * attention,
+            ffn,
+            total,
+            active: blocks * (attention + routed * ffnSize + router),
+            diagram
+        };
+    },
+
+    /**
+     * Short count: 1234 → "1.2k", 2500000 → "2.5M"
+     * @param {number} n
+     * @returns {string}
+     */
+    formatCount(n) {
+        if (n >= 1e6) return `${(n / 1e6).toFixed(2)}M`;
+        if (n >= 1e3) return `${(n / 1e3).toFixed(1)}k`;
+        return String(n);
+    },
+
+    /**
+     * Show the parameter count and its breakdown, or the diagram validation error
+     */
+    updateParams() {
+        const error = this.networkError;
+        const counts = this.countParameters();
+        const f = n => this.formatCount(n);
+
+        if (this.paramsEl) {
+            this.paramsEl.textContent = `${f(counts.total)} parameters`;
+        }
+        if (!this.infoEl) return;
+
+        this.infoEl.classList.toggle('simulated', Boolean(error));
+        if (error) {
+            this.infoEl.textContent = `Diagram layers not applied: ${error}`;
+            return;
+        }
+
+        const embeddings = EmbeddingsVisualizer.table
+            ? `embeddings ${f(counts.embeddings)}`
+            : 'no embedding table loaded';
+        const active = CONFIG.model.moe.enabled ? ` · ${f(counts.active)} active per token without embeddings` : '';
+        this.infoEl.textContent = `${embeddings} · attention ${f(counts.attention)} · FFN ${f(counts.ffn)}${active} · ` +
+            `diagram ${counts.diagram.toLocaleString()} connections`;
+    }
+};
@@ -1,23 +1,171 @@
 /**
  * Attention Visualization Module
- * Visualizes self-attention weights between tokens
+ * Visualizes multi-head self-attention weights between tokens
  */
 const AttentionVisualizer = {
     canvas: null,
     ctx: null,
+    infoEl: null,
     tokens: [],
-    attentionWeights: [],
+    attentionWeights: [],   // Matrix of the active view (selected head or the head average)
+    headWeights: [],        // One matrix per head
+    intermediates: null,    // { heads: [{ Q, K, V, scores, masked, weights, output }], mask, weights, output } of the last run
+    projections: null,      // Cached seeded Wq / Wk / Wv per head
+    panels: [],             // Matrix placements from the last draw, for hit-testing
+    tooltip: null,
+    hoverCell: null,        // { head, i, j } under the mouse
+    pinnedRow: null,        // Query row pinned by a click
+    mask: [],               // mask[i][j] is true when query i may attend to key j
+    input: null,            // { tokens, embeddings } of the last run, for recomputing on mask changes
+    lineLayout: null,       // { leftX, rightX, ys } of the lines view
+    lineHover: null,        // { side: 'query' | 'key', index } hovered in the lines view
+
+    views: {
+        grid: 'All heads',
+        head: 'Single head',
+        average: 'Average over heads'
+    },
+
+    styles: {
+        heatmap: 'Heatmap',
+        lines: 'Lines'
+    },
+
+    // Mask presets: allows(i, j, n) decides whether query i may attend to key j;
+    // causal masks never let a token see a later one, so earlier positions never change as tokens are added
+    masks: {
+        causal: {
+            label: 'Causal (GPT)',
+            causal: true,
+            param: null,
+            allows: (i, j) => j <= i,
+            describe: () => 'causal mask: each token sees itself and earlier tokens'
+        },
+        bidirectional: {
+            label: 'Bidirectional (BERT)',
+            causal: false,
+            param: null,
+            allows: () => true,
+            describe: () => 'no mask: every token sees every other token'
+        },
+        sliding: {
+            label: 'Sliding window',
+            causal: true,
+            param: { key: 'window', label: 'Width' },
+            allows: (i, j, settings) => j <= i && i - j < settings.window,
+            describe: settings => `sliding window of ${settings.window}: each token sees itself and the ${settings.window - 1} before it`
+        },
+        sparse: {
+            label: 'Strided sparse',
+            causal: true,
+            param: { key: 'stride', label: 'Stride' },
+            allows: (i, j, settings) => j <= i && (i - j < settings.stride || (i - j) % settings.stride === 0),
+            describe: settings => `strided sparse mask: the last ${settings.stride} tokens plus one token every ${settings.stride} positions before them`
+        },
+        block: {
+            label: 'Block-local sparse',
+            causal: true,
+            param: { key: 'blockSize', label: 'Block' },
+            allows: (i, j, settings) => j <= i && Math.floor(i / settings.blockSize) === Math.floor(j / settings.blockSize),
+            describe: settings => `block-local sparse mask: tokens are split into blocks of ${settings.blockSize} and each sees only earlier tokens in its own block`
+        },
+        prefix: {
+            label: 'Prefix-LM',
+            causal: false,
+            param: { key: 'prefixLength', label: 'Prefix' },
+            allows: (i, j, settings) => j <= i || j < settings.prefixLength,
+            describe: settings => `prefix-LM mask: the first ${settings.prefixLength} tokens see each other, the rest are causal`
+        }
+    },
 
     /**
      * Initialize the attention visualizer
      */
     init() {
         this.canvas = document.getElementById('attention-canvas');
+        this.infoEl = document.getElementById('attention-info');
         if (this.canvas) {
             this.ctx = this.canvas.getContext('2d');
             this.resizeCanvas();
-            window.addEventListener('resize', () => this.resizeCanvas());
+            window.addEventListener('resize', () => {
+                this.resizeCanvas();
+                this.render();
+            });
+
+            this.tooltip = document.createElement('div');
+            this.tooltip.className = 'attention-tooltip';
+            this.canvas.parentElement.appendChild(this.tooltip);
+
+            this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
+            this.canvas.addEventListener('mouseleave', () => {
+                this.setHoverCell(null);
+                this.setLineHover(null);
+            });
+            this.canvas.addEventListener('click', (e) => this.handleClick(e));
         }
+
+        const viewSelect = document.getElementById('attention-view');
+        if (viewSelect) {
+            viewSelect.innerHTML = Object.entries(this.views)
+                .map(([key, label]) => `<option value="${key}">${label}</option>`)
+                .join('');
+            viewSelect.addEventListener('change', () => this.setView(viewSelect.value));
+        }
+
+        const headSelect = document.getElementById('attention-head');
+        if (headSelect) {
+            headSelect.addEventListener('change', () => this.setView('head', Number(headSelect.value)));
+        }
+
+        const blockSelect = document.getElementById('attention-block');
+        if (blockSelect) {
+            blockSelect.addEventListener('change', () => {
+                CONFIG.visualization.attentionBlock = Number(blockSelect.value);
+                this.recompute();
+            });
+        }
+
+        const styleSelect = document.getElementById('attention-style');
+        if (styleSelect) {
+            styleSelect.innerHTML = Object.entries(this.styles)
+                .map(([key, label]) => `<option value="${key}">${label}</option>`)
+                .join('');
+            styleSelect.value = CONFIG.visualization.attentionStyle;
+            styleSelect.addEventListener('change', () => {
+                CONFIG.visualization.attentionStyle = styleSelect.value;
+                this.hoverCell = null;
+                this.lineHover = null;
+                this.tooltip.classList.remove('visible');
+                this.render();
+            });
+        }
+
+        const maskSelect = document.getElementById('attention-mask');
+        if (maskSelect) {
+            maskSelect.innerHTML = Object.entries(this.masks)
+                .map(([key, mask]) => `<option value="${key}">${mask.label}</option>`)
+                .join('');
+            maskSelect.addEventListener('change', () => {
+                CONFIG.visualization.attentionMask.type = maskSelect.value;
+                this.syncControls();
+                this.recompute();
+            });
+        }
+
+        const maskParam = document.getElementById('attention-mask-param');
+        if (maskParam) {
+            maskParam.addEventListener('change', () => {
+                const param = this.getMask().param;
+                const value = Math.max(1, Math.round(Number(maskParam.value)) || 1);
+                maskParam.value = value;
+                if (param) {
+                    CONFIG.visualization.attentionMask[param.key] = value;
+                    this.recompute();
+                }
+            });
+        }
+
+        this.syncControls();
     },
 
     /**
@@ -45,53 +193,744 @@ const AttentionVisualizer = {
             const container = this.canvas.parentElement;
             this.ctx.clearRect(0, 0, container.clientWidth, container.clientHeight);
         }
+        if (this.infoEl) {
+            this.infoEl.textContent = '';
+        }
         this.tokens = [];
         this.attentionWeights = [];
+        this.headWeights = [];
+        this.intermediates = null;
+        this.panels = [];
+        this.mask = [];
+        this.input = null;
+        this.hoverCell = null;
+        this.lineHover = null;
+        this.lineLayout = null;
+        this.unpin();
+        if (this.tooltip) {
+            this.tooltip.classList.remove('visible');
+        }
     },
 
     /**
-     * Generate mock attention weights
-     * Creates a matrix where each token attends to all previous tokens
-     * @param {string[]} tokens - Array of tokens
-     * @returns {number[][]} Attention weight matrix
+     * Reflect the configured view and head count in the selectors
      */
-    generateAttentionWeights(tokens) {
-        const n = Math.min(tokens.length, CONFIG.visualization.attentionMaxTokens);
-        this.tokens = tokens.slice(0, n);
-        this.attentionWeights = [];
+    syncControls() {
+        const { attentionView, attentionHead, attentionHeads } = CONFIG.visualization;
 
-        for (let i = 0; i < n; i++) {
-            const row = [];
-            for (let j = 0; j < n; j++) {
-                if (j <= i) {
-                    // Generate attention weight (higher for nearby tokens)
-                    const distance = i - j;
-                    const baseWeight = Math.exp(-distance * 0.3);
-                    const noise = 0.3 * Math.random();
-                    row.push(Math.min(1, baseWeight + noise));
-                } else {
-                    // Causal masking - can't attend to future tokens
-                    row.push(0);
-                }
+        const viewSelect = document.getElementById('attention-view');
+        if (viewSelect) {
+            viewSelect.value = attentionView;
+        }
+
+        const headSelect = document.getElementById('attention-head');
+        if (headSelect) {
+            headSelect.innerHTML = Array.from({ length: attentionHeads },
+                (_, h) => `<option value="${h}">Head ${h + 1}</option>`).join('');
+            headSelect.value = String(attentionHead);
+            headSelect.disabled = attentionView !== 'head';
+        }
+
+        const blockSelect = document.getElementById('attention-block');
+        if (blockSelect) {
+            blockSelect.innerHTML = Array.from({ length: CONFIG.model.blocks },
+                (_, b) => `<option value="${b}">Block ${b + 1}</option>`).join('');
+            blockSelect.value = String(this.getBlock());
+        }
+
+        const settings = CONFIG.visualization.attentionMask;
+        const param = this.getMask().param;
+
+        const maskSelect = document.getElementById('attention-mask');
+        if (maskSelect) {
+            maskSelect.value = settings.type;
+        }
+
+        const maskParam = document.getElementById('attention-mask-param');
+        const paramLabel = document.getElementById('attention-mask-param-label');
+        if (maskParam && paramLabel) {
+            paramLabel.hidden = !param;
+            if (param) {
+                paramLabel.firstChild.textContent = `${param.label} `;
+                maskParam.value = settings[param.key];
             }
-            // Normalize row (softmax simulation)
-            const sum = row.reduce((a, b) => a + b, 0);
-            this.attentionWeights.push(row.map(w => w / sum));
+        }
+    },
+
+    /**
+     * Get the active mask preset
+     * @returns {Object} Mask definition
+     */
+    getMask() {
+        return this.masks[CONFIG.visualization.attentionMask.type] || this.masks.causal;
+    },
+
+    /**
+     * Build the mask matrix for the active preset
+     * Presets see prompt positions, so a prefix or block counts from the start of the prompt, not the window
+     * @param {number} n - Number of tokens
+     * @param {number} offset - Prompt position of the first token
+     * @returns {boolean[][]} mask[i][j] is true when query i may attend to key j
+     */
+    buildMask(n, offset = 0) {
+        const mask = this.getMask();
+        const settings = CONFIG.visualization.attentionMask;
+        return Array.from({ length: n }, (_, i) =>
+            Array.from({ length: n }, (_, j) => mask.allows(offset + i, offset + j, settings)));
+    },
+
+    /**
+     * Recompute the weights of the last run (e.g. after a mask change) and redraw
+     */
+    recompute() {
+        if (!this.input) return;
+        this.generateAttentionWeights(this.input.tokens, this.input.embeddings);
+        this.render();
+        FFNVisualizer.render();
+        TransformerBlocks.render();
+        LogitLens.render();
+        SamplingPlayground.render();
+        BeamSearch.render();
+        KVCache.render();
+        SpeculativeDecoder.render();
+    },
+
+    /**
+     * Switch between the head grid, a single head and the head average
+     * @param {string} view - 'grid', 'head' or 'average'
+     * @param {number} head - Head to focus in the single-head view
+     */
+    setView(view, head = CONFIG.visualization.attentionHead) {
+        CONFIG.visualization.attentionView = view;
+        CONFIG.visualization.attentionHead = Math.min(head, CONFIG.visualization.attentionHeads - 1);
+        this.syncControls();
+
+        if (this.headWeights.length > 0) {
+            this.attentionWeights = this.getViewWeights();
+            this.render();
+        }
+    },
+
+    /**
+     * Seeded Q/K/V projection matrices (d_model × d_head) for every head of a block, cached per size and seed
+     * @param {number} dModel - Embedding size
+     * @param {number} block - Transformer block index
+     * @returns {Object[]} One { Wq, Wk, Wv } per head
+     */
+    getProjections(dModel, block = 0) {
+        const { seed, headDim, initScale } = CONFIG.model;
+        const heads = CONFIG.visualization.attentionHeads;
+        const key = `${dModel}:${headDim}:${heads}:${seed}:${initScale}`;
+
+        if (!this.projections || this.projections.key !== key) {
+            this.projections = { key, blocks: [] };
+        }
+
+        if (!this.projections.blocks[block]) {
+            const rng = MathUtils.createRng(seed + block);
+            const std = initScale / Math.sqrt(dModel);
+            this.projections.blocks[block] = Array.from({ length: heads }, () => ({
+                Wq: MathUtils.randomMatrix(dModel, headDim, rng, std),
+                Wk: MathUtils.randomMatrix(dModel, headDim, rng, std),
+                Wv: MathUtils.randomMatrix(dModel, headDim, rng, std)
+            }));
+        }
+        return this.projections.blocks[block];
+    },
+
+    /**
+     * Scaled dot-product attention for one head
+     * @param {number[][]} X - Input vectors (one row per token)
+     * @param {Object} projection - { Wq, Wk, Wv }
+     * @param {number} head - Head index (for the ALiBi slope)
+     * @param {boolean[][]} mask - Allowed query/key pairs (see buildMask)
+     * @returns {Object} { Q, K, V, scores, masked, weights, output }
+     */
+    computeHead(X, projection, head, mask) {
+        const rope = CONFIG.positional.scheme === 'rope';
+        let Q = MathUtils.matMul(X, projection.Wq);
+        let K = MathUtils.matMul(X, projection.Wk);
+        const V = MathUtils.matMul(X, projection.Wv);
+
+        if (rope) {
+            Q = Q.map((q, i) => PositionalEncoding.rotate(q, i));
+            K = K.map((k, i) => PositionalEncoding.rotate(k, i));
         }
 
+        const scale = Math.sqrt(CONFIG.model.headDim);
+        const scores = MathUtils.matMul(Q, MathUtils.transpose(K)).map((row, i) =>
+            row.map((score, j) => score / scale + PositionalEncoding.attentionBias(i, j, head)));
+
+        // Masked pairs get -∞ so the softmax gives them exactly zero weight
+        const masked = scores.map((row, i) => row.map((score, j) => (mask[i][j] ? score : -Infinity)));
+        const weights = masked.map(row => MathUtils.softmax(row));
+
+        return { Q, K, V, scores, masked, weights, output: MathUtils.matMul(weights, V) };
+    },
+
+    /**
+     * Multi-head scaled dot-product attention over one block's input
+     * softmax(QKᵀ/√d + bias) per head under the active mask
+     * @param {number[][]} X - Input vectors (one row per token)
+     * @param {number} block - Transformer block index
+     * @param {number} offset - Prompt position of the first token (see TransformerBlocks.windowStart)
+     * @returns {Object} { heads: [{ Q, K, V, scores, masked, weights, output }], mask, weights (head average), output (concatenated heads) }
+     */
+    computeAttention(X, block = 0, offset = 0) {
+        const mask = this.buildMask(X.length, offset);
+        const heads = this.getProjections(X[0].length, block).map((projection, h) => this.computeHead(X, projection, h, mask));
+
+        return {
+            heads,
+            mask,
+            weights: this.averageWeights(heads.map(head => head.weights)),
+            // Head outputs are concatenated per token, as before the output projection
+            output: X.map((_, i) => heads.flatMap(head => head.output[i]))
+        };
+    },
+
+    /**
+     * Compute the attention weights shown in this layer
+     * Runs the forward pass through all blocks and keeps the selected block's attention
+     * @param {string[]} tokens - Array of tokens
+     * @param {Object[]} embeddings - Embeddings with an encoded vector (see PositionalEncoding.apply)
+     * @returns {number[][]} Attention weight matrix of the active view
+     */
+    generateAttentionWeights(tokens, embeddings = []) {
+        this.input = { tokens, embeddings };
+
+        const result = TransformerBlocks.forward(tokens, embeddings);
+        this.tokens = result.tokens;
+
+        if (result.blocks.length === 0) {
+            this.mask = [];
+            this.headWeights = [];
+            this.attentionWeights = [];
+            this.intermediates = null;
+            return this.attentionWeights;
+        }
+
+        this.intermediates = result.blocks[this.getBlock()].attention;
+        this.mask = this.intermediates.mask;
+        this.headWeights = this.intermediates.heads.map(head => head.weights);
+        this.attentionWeights = this.getViewWeights();
         return this.attentionWeights;
     },
 
+    /**
+     * Block shown in this layer
+     * @returns {number}
+     */
+    getBlock() {
+        return Math.min(CONFIG.visualization.attentionBlock, CONFIG.model.blocks - 1);
+    },
+
+    /**
+     * Element-wise mean of head matrices
+     * @param {number[][][]} matrices - One weight matrix per head
+     * @returns {number[][]}
+     */
+    averageWeights(matrices) {
+        const count = matrices.length;
+        return matrices[0].map((row, i) =>
+            row.map((_, j) => matrices.reduce((sum, weights) => sum + weights[i][j], 0) / count));
+    },
+
+    /**
+     * Weights of the active view: the focused head, or the average in the grid and average views
+     * @returns {number[][]}
+     */
+    getViewWeights() {
+        if (this.headWeights.length === 0) return [];
+        if (CONFIG.visualization.attentionView === 'head') {
+            return this.headWeights[Math.min(CONFIG.visualization.attentionHead, this.headWeights.length - 1)];
+        }
+        return this.intermediates.weights;
+    },
+
+    /**
+     * Place one matrix per head (grid view) or a single labelled matrix
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @returns {Object[]} Array of { weights, head, x, y, cellWidth, cellHeight, labelled }
+     */
+    layoutPanels(width, height) {
+        const n = this.tokens.length;
+
+        if (CONFIG.visualization.attentionView !== 'grid') {
+            const padding = 60;
+            return [{
+                weights: this.attentionWeights,
+                head: CONFIG.visualization.attentionView === 'head' ? CONFIG.visualization.attentionHead : null,
+                x: padding,
+                y: padding,
+                cellWidth: (width - padding * 2) / n,
+                cellHeight: (height - padding * 2) / n,
+                labelled: true
+            }];
+        }
+
+        const count = this.headWeights.length;
+        // Columns chosen so the panels come out roughly square
+        const cols = Math.min(count, Math.max(1, Math.ceil(Math.sqrt(count * width / Math.max(height, 1)))));
+        const rows = Math.ceil(count / cols);
+        const panelWidth = width / cols;
+        const panelHeight = height / rows;
+        const titleHeight = 14;
+        const size = Math.max(0, Math.min(panelWidth, panelHeight - titleHeight) - 12);
+
+        return this.headWeights.map((weights, head) => ({
+            weights,
+            head,
+            x: (head % cols) * panelWidth + (panelWidth - size) / 2,
+            y: Math.floor(head / cols) * panelHeight + titleHeight + (panelHeight - titleHeight - size) / 2,
+            cellWidth: size / n,
+            cellHeight: size / n,
+            labelled: false
+        }));
+    },
+
+    /**
+     * Find the matrix panel under a canvas point
+     * @param {number} x
+     * @param {number} y
+     * @returns {Object|null}
+     */
+    panelAt(x, y) {
+        const n = this.tokens.length;
+        return this.panels.find(p =>
+            x >= p.x && x <= p.x + p.cellWidth * n && y >= p.y && y <= p.y + p.cellHeight * n) || null;
+    },
+
+    /**
+     * Find the cell under a canvas point
+     * @param {number} x
+     * @param {number} y
+     * @returns {Object|null} { panel, head, i, j }
+     */
+    cellAt(x, y) {
+        const panel = this.panelAt(x, y);
+        if (!panel) return null;
+
+        const n = this.tokens.length;
+        const i = Math.min(n - 1, Math.floor((y - panel.y) / panel.cellHeight));
+        const j = Math.min(n - 1, Math.floor((x - panel.x) / panel.cellWidth));
+        return { panel, head: panel.head, i, j };
+    },
+
+    /**
+     * Show the tooltip for the hovered cell
+     * @param {MouseEvent} e
+     */
+    handleMouseMove(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+
+        if (this.isLinesStyle()) {
+            this.setLineHover(this.lineTokenAt(x, y));
+            return;
+        }
+
+        const cell = this.cellAt(x, y);
+
+        this.setHoverCell(cell);
+        if (cell) {
+            this.tooltip.style.left = `${x + 12}px`;
+            this.tooltip.style.top = `${y + 12}px`;
+        }
+    },
+
+    /**
+     * Update the hovered cell, its tooltip and the row/column outline
+     * @param {Object|null} cell - Result of cellAt()
+     */
+    setHoverCell(cell) {
+        const same = cell && this.hoverCell &&
+            cell.head === this.hoverCell.head && cell.i === this.hoverCell.i && cell.j === this.hoverCell.j;
+        if (same || (!cell && !this.hoverCell)) return;
+
+        this.hoverCell = cell;
+        this.canvas.style.cursor = cell ? 'pointer' : 'default';
+
+        if (cell) {
+            const weight = this.mask[cell.i][cell.j] ? cell.panel.weights[cell.i][cell.j].toFixed(4) : 'masked';
+            const source = cell.head === null ? 'head average' : `head ${cell.head + 1}`;
+            this.tooltip.innerHTML = `
+                <div><span class="attention-tooltip-role">Query</span> <span class="attention-tooltip-token">${escapeHTML(this.tokens[cell.i])}</span> <span class="attention-tooltip-pos">#${cell.i}</span></div>
+                <div><span class="attention-tooltip-role">Key</span> <span class="attention-tooltip-token">${escapeHTML(this.tokens[cell.j])}</span> <span class="attention-tooltip-pos">#${cell.j}</span></div>
+                <div class="attention-tooltip-weight">${weight} <span class="attention-tooltip-pos">${source}</span></div>
+            `;
+            this.tooltip.classList.add('visible');
+        } else {
+            this.tooltip.classList.remove('visible');
+        }
+
+        this.render();
+    },
+
+    /**
+     * Pin (or unpin) the clicked query row; in the grid view the clicked head is focused too
+     * @param {MouseEvent} e
+     */
+    handleClick(e) {
+        const rect = this.canvas.getBoundingClientRect();
+
+        if (this.isLinesStyle()) {
+            const hit = this.lineTokenAt(e.clientX - rect.left, e.clientY - rect.top);
+            this.pinnedRow = hit && hit.side === 'query' && this.pinnedRow !== hit.index ? hit.index : null;
+            this.render();
+            return;
+        }
+
+        const cell = this.cellAt(e.clientX - rect.left, e.clientY - rect.top);
+
+        if (!cell) {
+            this.unpin();
+            this.render();
+            return;
+        }
+
+        this.pinnedRow = this.pinnedRow === cell.i ? null : cell.i;
+
+        if (CONFIG.visualization.attentionView === 'grid') {
+            this.hoverCell = null;
+            this.setView('head', cell.head);
+        } else {
+            this.render();
+        }
+    },
+
+    /**
+     * Remove the pinned-row highlights from the token row and embedding cards
+     */
+    unpin() {
+        this.pinnedRow = null;
+        this.applyPin();
+    },
+
+    /**
+     * Highlight the tokens the pinned query attends to, in proportion to their weight in the active view
+     */
+    applyPin() {
+        document.querySelectorAll('.token.attended, .embedding.attended, .token.attending, .embedding.attending')
+            .forEach(el => {
+                el.classList.remove('attended', 'attending');
+                el.style.removeProperty('--attention-weight');
+            });
+
+        if (this.pinnedRow === null || !this.attentionWeights[this.pinnedRow]) return;
+
+        const row = this.attentionWeights[this.pinnedRow];
+        const max = Math.max(...row);
+        // Token and embedding cards carry prompt positions; the matrix covers the window from offset on
+        const offset = TransformerBlocks.getResult().offset;
+
+        row.forEach((weight, j) => {
+            if (weight <= 0) return;
+            document.querySelectorAll(`.token[data-index="${offset + j}"], .embedding[data-index="${offset + j}"]`).forEach(el => {
+                el.classList.add('attended');
+                el.style.setProperty('--attention-weight', (weight / max).toFixed(3));
+            });
+        });
+
+        const pinned = offset + this.pinnedRow;
+        document.querySelectorAll(`.token[data-index="${pinned}"], .embedding[data-index="${pinned}"]`)
+            .forEach(el => el.classList.add('attending'));
+    },
+
+    /**
+     * Outline the hovered row/column and the pinned row
+     * @param {Object} panel - Panel from layoutPanels()
+     */
+    drawOverlays(panel) {
+        const n = this.tokens.length;
+        const width = panel.cellWidth * n;
+        const height = panel.cellHeight * n;
+
+        if (this.hoverCell && this.hoverCell.head === panel.head) {
+            const { i, j } = this.hoverCell;
+            this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+            this.ctx.strokeRect(panel.x, panel.y + i * panel.cellHeight, width, panel.cellHeight);
+            this.ctx.strokeRect(panel.x + j * panel.cellWidth, panel.y, panel.cellWidth, height);
+            this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+            this.ctx.strokeRect(panel.x + j * panel.cellWidth, panel.y + i * panel.cellHeight, panel.cellWidth, panel.cellHeight);
+        }
+
+        if (this.pinnedRow !== null && this.pinnedRow < n) {
+            this.ctx.strokeStyle = 'rgba(255, 0, 255, 0.9)';
+            this.ctx.lineWidth = 2;
+            this.ctx.strokeRect(panel.x, panel.y + this.pinnedRow * panel.cellHeight, width, panel.cellHeight);
+            this.ctx.lineWidth = 1;
+        }
+    },
+
+    /**
+     * Draw one cell of a panel
+     * @param {Object} panel - Panel from layoutPanels()
+     * @param {number} i - Query (row) index
+     * @param {number} j - Key (column) index
+     */
+    drawCell(panel, i, j) {
+        const x = panel.x + j * panel.cellWidth;
+        const y = panel.y + i * panel.cellHeight;
+
+        if (this.mask[i] && !this.mask[i][j]) {
+            this.drawMaskedCell(x, y, panel.cellWidth, panel.cellHeight);
+        } else {
+            // Draw cell with color based on attention weight
+            const alpha = panel.weights[i][j];
+            this.ctx.fillStyle = `rgba(0, 245, 255, ${alpha})`;
+            this.ctx.fillRect(x + 1, y + 1, panel.cellWidth - 2, panel.cellHeight - 2);
+        }
+
+        // Draw border
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+        this.ctx.strokeRect(x, y, panel.cellWidth, panel.cellHeight);
+    },
+
+    /**
+     * Whether the lines style is active
+     * @returns {boolean}
+     */
+    isLinesStyle() {
+        return CONFIG.visualization.attentionStyle === 'lines';
+    },
+
+    /**
+     * Place the query column (left) and key column (right)
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @returns {Object} { leftX, rightX, ys }
+     */
+    layoutLines(width, height) {
+        const top = 28;
+        const bottom = 10;
+        const spacing = (height - top - bottom) / this.tokens.length;
+
+        return {
+            leftX: width * 0.3,
+            rightX: width * 0.7,
+            spacing,
+            ys: this.tokens.map((_, i) => top + (i + 0.5) * spacing)
+        };
+    },
+
+    /**
+     * Find the token label under a canvas point in the lines view
+     * @param {number} x
+     * @param {number} y
+     * @returns {Object|null} { side: 'query' | 'key', index }
+     */
+    lineTokenAt(x, y) {
+        if (!this.lineLayout) return null;
+
+        const { leftX, rightX, spacing, ys } = this.lineLayout;
+        const index = ys.findIndex(rowY => Math.abs(rowY - y) <= spacing / 2);
+        if (index === -1) return null;
+
+        if (x >= leftX - 110 && x <= leftX + 6) return { side: 'query', index };
+        if (x >= rightX - 6 && x <= rightX + 110) return { side: 'key', index };
+        return null;
+    },
+
+    /**
+     * Isolate the connections of a hovered token
+     * @param {Object|null} hit - Result of lineTokenAt()
+     */
+    setLineHover(hit) {
+        const same = hit && this.lineHover && hit.side === this.lineHover.side && hit.index === this.lineHover.index;
+        if (same || (!hit && !this.lineHover)) return;
+
+        this.lineHover = hit;
+        this.canvas.style.cursor = hit && hit.side === 'query' ? 'pointer' : 'default';
+        this.render();
+    },
+
+    /**
+     * Draw query → key curves; opacity and width follow the weight
+     * A hovered token (or the pinned query) isolates its own connections
+     * @param {number} rows - Number of query rows to draw (for the animation)
+     */
+    drawLines(rows) {
+        const { leftX, rightX, ys } = this.lineLayout;
+        const midX = (leftX + rightX) / 2;
+        const focus = this.lineHover || (this.pinnedRow !== null ? { side: 'query', index: this.pinnedRow } : null);
+
+        for (let i = 0; i < rows; i++) {
+            for (let j = 0; j < this.tokens.length; j++) {
+                const weight = this.attentionWeights[i][j];
+                if (!this.mask[i][j] || weight <= 0) continue;
+
+                const connected = !focus || (focus.side === 'query' ? focus.index === i : focus.index === j);
+                this.ctx.strokeStyle = `rgba(0, 245, 255, ${connected ? weight : weight * 0.08})`;
+                this.ctx.lineWidth = 0.5 + weight * 4;
+                this.ctx.beginPath();
+                this.ctx.moveTo(leftX, ys[i]);
+                this.ctx.bezierCurveTo(midX, ys[i], midX, ys[j], rightX, ys[j]);
+                this.ctx.stroke();
+            }
+        }
+        this.ctx.lineWidth = 1;
+    },
+
+    /**
+     * Draw both token columns and their headers
+     */
+    drawLineLabels() {
+        const { leftX, rightX, ys } = this.lineLayout;
+        const focus = this.lineHover;
+
+        this.ctx.font = '10px Inter, sans-serif';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillStyle = 'rgba(160, 160, 176, 0.7)';
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText('Queries', leftX - 8, 12);
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText('Keys', rightX + 8, 12);
+
+        this.ctx.font = '10px JetBrains Mono, monospace';
+        this.tokens.forEach((token, i) => {
+            const label = token.length > 14 ? token.slice(0, 14) + '…' : token;
+            const queryActive = (focus && focus.side === 'query' && focus.index === i) || this.pinnedRow === i;
+            const keyActive = focus && focus.side === 'key' && focus.index === i;
+
+            this.ctx.textAlign = 'right';
+            this.ctx.fillStyle = queryActive ? 'rgba(255, 255, 255, 1)' : 'rgba(255, 0, 255, 0.7)';
+            this.ctx.fillText(label, leftX - 8, ys[i]);
+
+            this.ctx.textAlign = 'left';
+            this.ctx.fillStyle = keyActive ? 'rgba(255, 255, 255, 1)' : 'rgba(0, 245, 255, 0.7)';
+            this.ctx.fillText(label, rightX + 8, ys[i]);
+        });
+    },
+
+    /**
+     * Draw a masked cell as a dark hatched square, so it can't be mistaken for a low weight
+     * @param {number} x
+     * @param {number} y
+     * @param {number} width
+     * @param {number} height
+     */
+    drawMaskedCell(x, y, width, height) {
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.fillRect(x + 1, y + 1, width - 2, height - 2);
+
+        this.ctx.save();
+        this.ctx.beginPath();
+        this.ctx.rect(x + 1, y + 1, width - 2, height - 2);
+        this.ctx.clip();
+        this.ctx.strokeStyle = 'rgba(160, 160, 176, 0.25)';
+        this.ctx.beginPath();
+        for (let offset = -height; offset < width; offset += 5) {
+            this.ctx.moveTo(x + offset, y + height);
+            this.ctx.lineTo(x + offset + height, y);
+        }
+        this.ctx.stroke();
+        this.ctx.restore();
+    },
+
+    /**
+     * Fill the canvas background
+     * @param {number} width
+     * @param {number} height
+     */
+    drawBackground(width, height) {
+        this.ctx.clearRect(0, 0, width, height);
+        this.ctx.fillStyle = 'rgba(10, 10, 15, 0.5)';
+        this.ctx.fillRect(0, 0, width, height);
+    },
+
+    /**
+     * Draw panel titles (grid) or token labels (single matrix)
+     * @param {number} width
+     * @param {number} height
+     */
+    drawDecorations(width, height) {
+        this.panels.forEach(panel => {
+            if (panel.labelled) {
+                this.drawLabels(width, height, panel.x, panel.cellWidth, panel.cellHeight);
+                return;
+            }
+
+            this.ctx.fillStyle = 'rgba(160, 160, 176, 0.9)';
+            this.ctx.font = '10px Inter, sans-serif';
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'bottom';
+            this.ctx.fillText(`Head ${panel.head + 1}`, panel.x + panel.cellWidth * this.tokens.length / 2, panel.y - 2);
+        });
+    },
+
+    /**
+     * Redraw the active view without animation
+     */
+    render() {
+        if (!this.ctx || this.tokens.length === 0) return;
+
+        const container = this.canvas.parentElement;
+        const width = container.clientWidth;
+        const height = container.clientHeight;
+        const n = this.tokens.length;
+
+        this.drawBackground(width, height);
+
+        if (this.isLinesStyle()) {
+            this.panels = [];
+            this.lineLayout = this.layoutLines(width, height);
+            this.drawLines(n);
+            this.drawLineLabels();
+        } else {
+            this.lineLayout = null;
+            this.panels = this.layoutPanels(width, height);
+            this.panels.forEach(panel => {
+                for (let i = 0; i < n; i++) {
+                    for (let j = 0; j < n; j++) {
+                        this.drawCell(panel, i, j);
+                    }
+                }
+                this.drawOverlays(panel);
+            });
+            this.drawDecorations(width, height);
+        }
+
+        this.applyPin();
+        this.updateInfo();
+    },
+
+    /**
+     * Describe the active view under the canvas
+     */
+    updateInfo() {
+        if (!this.infoEl) return;
+
+        const { attentionView, attentionHead, attentionHeads } = CONFIG.visualization;
+        const shape = `${attentionHeads} heads × d_head ${CONFIG.model.headDim}`;
+        const descriptions = {
+            grid: this.isLinesStyle()
+                ? `Lines show the mean of the ${attentionHeads} heads · hover a token to isolate its connections`
+                : `${shape} · each head has its own Q/K/V projections · click a head to focus it`,
+            head: `Head ${attentionHead + 1} of ${attentionHeads} · softmax(QKᵀ/√${CONFIG.model.headDim})`,
+            average: `Mean of the ${attentionHeads} head matrices · ${shape}`
+        };
+        const mask = this.getMask().describe(CONFIG.visualization.attentionMask);
+        const pin = this.pinnedRow !== null && this.tokens[this.pinnedRow] !== undefined
+            ? ` · pinned query "${this.tokens[this.pinnedRow].trim()}" (click again to release)`
+            : ` · click a ${this.isLinesStyle() ? 'query' : 'row'} to pin it`;
+        const block = CONFIG.model.blocks > 1 ? `Block ${this.getBlock() + 1} of ${CONFIG.model.blocks} · ` : '';
+        this.infoEl.textContent = `${block}${descriptions[attentionView]} · ${mask}${pin}`;
+    },
+
     /**
      * Animate attention visualization
      * @param {string[]} tokens - Array of tokens
+     * @param {Object[]} embeddings - Position-encoded embeddings
      * @returns {Promise} Resolves when animation is complete
      */
-    async animate(tokens) {
+    async animate(tokens, embeddings = []) {
         return new Promise((resolve) => {
             this.clear();
             this.resizeCanvas();
-            this.generateAttentionWeights(tokens);
+            this.generateAttentionWeights(tokens, embeddings);
 
             const container = this.canvas.parentElement;
             const width = container.clientWidth;
@@ -103,11 +942,16 @@ const AttentionVisualizer = {
                 return;
             }
 
-            const padding = 60;
-            const cellWidth = (width - padding * 2) / n;
-            const cellHeight = (height - padding * 2) / n;
+            this.updateInfo();
 
-            // Draw grid cells with animation
+            if (this.isLinesStyle()) {
+                this.animateLines(width, height, resolve);
+                return;
+            }
+
+            this.panels = this.layoutPanels(width, height);
+
+            // Draw grid cells with animation (all heads fill in together)
             let currentCell = 0;
             const totalCells = n * n;
             const cellDelay = getTiming('attentionDraw') / totalCells;
@@ -115,39 +959,54 @@ const AttentionVisualizer = {
             const drawCell = () => {
                 if (currentCell >= totalCells) {
                     // Draw token labels
-                    this.drawLabels(width, height, padding, cellWidth, cellHeight);
+                    this.drawDecorations(width, height);
                     setTimeout(resolve, 200);
                     return;
                 }
 
                 const i = Math.floor(currentCell / n);
                 const j = currentCell % n;
-                const weight = this.attentionWeights[i][j];
-
-                const x = padding + j * cellWidth;
-                const y = padding + i * cellHeight;
-
-                // Draw cell with color based on attention weight
-                const alpha = weight;
-                this.ctx.fillStyle = `rgba(0, 245, 255, ${alpha})`;
-                this.ctx.fillRect(x + 1, y + 1, cellWidth - 2, cellHeight - 2);
-
-                // Draw border
-                this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
-                this.ctx.strokeRect(x, y, cellWidth, cellHeight);
+                this.panels.forEach(panel => this.drawCell(panel, i, j));
 
                 currentCell++;
                 setTimeout(drawCell, cellDelay);
             };
 
             // Start drawing background
-            this.ctx.fillStyle = 'rgba(10, 10, 15, 0.5)';
-            this.ctx.fillRect(0, 0, width, height);
+            this.drawBackground(width, height);
 
             drawCell();
         });
     },
 
+    /**
+     * Grow the lines view one query row at a time
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @param {Function} resolve - Called when the animation is complete
+     */
+    animateLines(width, height, resolve) {
+        const n = this.tokens.length;
+        const rowDelay = getTiming('attentionDraw') / n;
+        this.lineLayout = this.layoutLines(width, height);
+        let rows = 0;
+
+        const drawRow = () => {
+            rows++;
+            this.drawBackground(width, height);
+            this.drawLines(rows);
+            this.drawLineLabels();
+
+            if (rows >= n) {
+                setTimeout(resolve, 200);
+                return;
+            }
+            setTimeout(drawRow, rowDelay);
+        };
+
+        drawRow();
+    },
+
     /**
      * Draw token labels around the attention matrix
      */
@@ -190,10 +1049,27 @@ const AttentionVisualizer = {
     },
 
     /**
-     * Get attention weights
+     * Get attention weights of the active view
      * @returns {number[][]} Attention weight matrix
      */
     getWeights() {
         return this.attentionWeights;
+    },
+
+    /**
+     * Get the attention weights of one head
+     * @param {number} head - Head index
+     * @returns {number[][]} Attention weight matrix
+     */
+    getHeadWeights(head) {
+        return this.headWeights[head] || [];
+    },
+
+    /**
+     * Get the intermediate matrices of the last attention pass
+     * @returns {Object|null} { heads: [{ Q, K, V, scores (QKᵀ/√d + bias), masked, weights, output }], mask, weights (head average), output (concatenated heads) }
+     */
+    getIntermediates() {
+        return this.intermediates;
     }
 };
@@ -0,0 +1,360 @@
+/**
+ * Beam Search Module
+ * Runs beam search with a length penalty over the local model and draws the hypotheses
+ * as a tree: one column per step, pruned candidates fading out, cumulative log-probabilities
+ * on every node
+ */
+const BeamSearch = {
+    treeEl: null,
+    candidatesEl: null,
+    infoEl: null,
+    result: null,       // { nodes, levels, best, passes } of the last search
+    greedy: null,       // Best node of a width-1 search, for comparison
+    step: null,         // Step whose candidates are listed
+    run: 0,             // Bumped on every draw so stale animation timers stop
+    shown: false,
+
+    fields: {
+        width: { label: 'Beam width', min: 1, max: 6, step: 1 },
+        lengthPenalty: { label: 'Length penalty α', min: 0, max: 2, step: 0.1 },
+        steps: { label: 'Steps', min: 1, max: 8, step: 1 }
+    },
+
+    // Tree layout (SVG units)
+    layout: { column: 150, nodeWidth: 120, nodeHeight: 24, row: 30, padding: 10 },
+
+    /**
+     * Initialize the tree and its controls
+     */
+    init() {
+        this.treeEl = document.getElementById('beam-tree');
+        this.candidatesEl = document.getElementById('beam-candidates');
+        this.infoEl = document.getElementById('beam-info');
+
+        const controls = document.getElementById('beam-controls');
+        if (controls) {
+            controls.innerHTML = Object.entries(this.fields).map(([key, field]) => `
+                <label class="layer-option">${field.label}
+                    <input type="number" class="layer-input narrow" data-key="${key}" min="${field.min}" max="${field.max}" step="${field.step}" value="${CONFIG.beam[key]}">
+                </label>
+            `).join('') + '<button type="button" class="layer-button" id="beam-replay">Replay</button>';
+
+            controls.addEventListener('change', (e) => {
+                const key = e.target.dataset.key;
+                if (!key) return;
+                const { min, max } = this.fields[key];
+                const value = Number(e.target.value);
+                const clamped = Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : CONFIG.beam[key];
+                CONFIG.beam[key] = key === 'lengthPenalty' ? clamped : Math.round(clamped);
+                e.target.value = CONFIG.beam[key];
+                this.render();
+            });
+
+            document.getElementById('beam-replay').addEventListener('click', () => {
+                if (this.shown) {
+                    this.animate();
+                }
+            });
+        }
+
+        if (this.treeEl) {
+            this.treeEl.addEventListener('click', (e) => {
+                const node = e.target.closest('.beam-node[data-step]');
+                if (node && Number(node.dataset.step) > 0) {
+                    this.selectStep(Number(node.dataset.step));
+                }
+            });
+        }
+    },
+
+    /**
+     * Clear the tree
+     */
+    clear() {
+        this.run++;
+        if (this.treeEl) {
+            this.treeEl.innerHTML = '';
+        }
+        if (this.candidatesEl) {
+            this.candidatesEl.innerHTML = '';
+        }
+        if (this.infoEl) {
+            this.infoEl.textContent = '';
+        }
+        this.result = null;
+        this.greedy = null;
+        this.step = null;
+        this.shown = false;
+    },
+
+    /**
+     * GNMT length penalty ((5 + length) / 6)^α
+     * @param {number} length - Generated words
+     * @returns {number}
+     */
+    lengthPenalty(length) {
+        return Math.pow((5 + length) / 6, CONFIG.beam.lengthPenalty);
+    },
+
+    /**
+     * Beam search: every live beam proposes its top-width next words, all candidates are
+     * ranked by length-penalized score and the best width survive
+     * A candidate ending in an end token finishes if it ranks within the width; otherwise it is pruned
+     * @param {number} width - Beam width (1 is greedy decoding)
+     * @returns {Object} { nodes, levels: node[][] in rank order, best, passes }
+     *     Node: { id, parent, depth, word, words, logprob, cumulative, score, status, best }
+     */
+    search(width) {
+        const { steps, endTokens } = CONFIG.beam;
+        const words = LocalModel.getVocabulary().words;
+        const root = { id: 0, parent: null, depth: 0, word: null, words: [], logprob: 0, cumulative: 0, score: 0, status: 'kept', best: false };
+        const nodes = [root];
+        const levels = [[root]];
+        const finished = [];
+        let live = [root];
+        let passes = 0;
+
+        for (let depth = 1; depth <= steps && live.length > 0; depth++) {
+            const candidates = [];
+            live.forEach(beam => {
+                const logProbs = LocalModel.logProbs(beam.words);
+                passes++;
+                SamplingPlayground.ranked(logProbs).slice(0, width).forEach(i => {
+                    const cumulative = beam.cumulative + logProbs[i];
+                    candidates.push({
+                        parent: beam.id,
+                        depth,
+                        word: words[i],
+                        words: beam.words.concat(words[i]),
+                        logprob: logProbs[i],
+                        cumulative,
+                        score: cumulative / this.lengthPenalty(depth),
+                        best: false
+                    });
+                });
+            });
+
+            candidates.sort((a, b) => b.score - a.score);
+            live = [];
+            candidates.forEach((node, rank) => {
+                node.id = nodes.length;
+                nodes.push(node);
+
+                if (endTokens.includes(node.word)) {
+                    node.status = rank < width ? 'finished' : 'pruned';
+                } else {
+                    node.status = live.length < width ? 'kept' : 'pruned';
+                }
+
+                if (node.status === 'finished') finished.push(node);
+                if (node.status === 'kept') live.push(node);
+            });
+            levels.push(candidates);
+        }
+
+        const best = finished.concat(live).reduce((top, node) => (!top || node.score > top.score ? node : top), null);
+        for (let node = best; node; node = nodes[node.parent]) {
+            node.best = true;
+        }
+
+        return { nodes, levels, best, passes };
+    },
+
+    /**
+     * Position of every node: one column per step, candidates top to bottom in rank order
+     * @returns {Object} { positions: Map<id, { x, y }>, width, height }
+     */
+    computeLayout() {
+        const { column, nodeWidth, row, padding } = this.layout;
+        const tallest = Math.max(...this.result.levels.map(level => level.length));
+        const positions = new Map();
+
+        this.result.levels.forEach((level, depth) => {
+            const offset = ((tallest - level.length) * row) / 2;
+            level.forEach((node, rank) => {
+                positions.set(node.id, { x: padding + depth * column, y: padding + offset + rank * row });
+            });
+        });
+
+        return {
+            positions,
+            width: padding * 2 + (this.result.levels.length - 1) * column + nodeWidth,
+            height: padding * 2 + tallest * row
+        };
+    },
+
+    /**
+     * Build the tree markup; pending elements are revealed step by step by animate()
+     * @param {boolean} pending - Start every step after the root hidden, pruned nodes unfaded
+     */
+    drawTree(pending) {
+        const { nodeWidth, nodeHeight } = this.layout;
+        const { positions, width, height } = this.computeLayout();
+        const prompt = LocalModel.getPrompt().tokens;
+        const rootLabel = `…${prompt[prompt.length - 1]}`;
+
+        const edges = [];
+        const nodes = [];
+        this.result.nodes.forEach(node => {
+            const { x, y } = positions.get(node.id);
+            const hidden = pending && node.depth > 0 ? ' pending' : '';
+            const status = node.status === 'pruned' && pending ? '' : ` ${node.status}`;
+            const best = node.best ? ' best' : '';
+
+            if (node.parent !== null) {
+                const from = positions.get(node.parent);
+                const x1 = from.x + nodeWidth;
+                const y1 = from.y + nodeHeight / 2;
+                const y2 = y + nodeHeight / 2;
+                const mid = (x1 + x) / 2;
+                edges.push(`<path class="beam-edge${status}${best}${hidden}" data-step="${node.depth}" data-id="${node.id}" d="M${x1},${y1} C${mid},${y1} ${mid},${y2} ${x},${y2}" />`);
+            }
+
+            const label = node.depth === 0 ? rootLabel : node.word;
+            const title = node.depth === 0
+                ? 'Prompt (last position shown)'
+                : `"${node.words.join(' ')}" · log p(word) ${node.logprob.toFixed(2)} · cumulative ${node.cumulative.toFixed(2)} · score ${node.score.toFixed(2)} · ${node.status}`;
+            nodes.push(`
+                <g class="beam-node${status}${best}${hidden}" data-step="${node.depth}" data-id="${node.id}" transform="translate(${x}, ${y})">
+                    <rect width="${nodeWidth}" height="${nodeHeight}" rx="4" />
+                    <text class="beam-node-word" x="6" y="16">${escapeHTML(label)}</text>
+                    ${node.depth > 0 ? `<text class="beam-node-score" x="${nodeWidth - 6}" y="16">${node.cumulative.toFixed(2)}</text>` : ''}
+                    <title>${escapeHTML(title)}</title>
+                </g>
+            `);
+        });
+
+        this.treeEl.innerHTML = `
+            <svg class="beam-tree-svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">
+                ${edges.join('')}
+                ${nodes.join('')}
+            </svg>
+        `;
+    },
+
+    /**
+     * List one step's candidates with OutputVisualizer's probability rows
+     * Bars show p(word | beam); pruned candidates are greyed out
+     * @param {number} step - Search step (1-based)
+     */
+    selectStep(step) {
+        if (!this.candidatesEl || !this.result || !this.result.levels[step]) return;
+
+        this.step = step;
+        const level = this.result.levels[step];
+        const kept = level.filter(node => node.status !== 'pruned').length;
+        const beams = new Set(level.map(node => node.parent)).size;
+
+        this.candidatesEl.innerHTML = `
+            <div class="sampling-stage-title">Step ${step}</div>
+            <div class="sampling-stage-detail">${level.length} candidates from ${beams} beam${beams === 1 ? '' : 's'} · ${kept} kept · bars p(word | beam), values the length-penalized score</div>
+        `;
+        level.forEach(node => {
+            const item = { token: node.words.join(' '), probability: Math.exp(node.logprob), selected: node.status !== 'pruned' };
+            const row = OutputVisualizer.createRow(item);
+            row.classList.toggle('truncated', node.status === 'pruned');
+            row.querySelector('.output-prob-value').textContent = node.score.toFixed(2);
+            this.candidatesEl.appendChild(row);
+            OutputVisualizer.fillRow(row, item);
+        });
+
+        if (this.treeEl) {
+            this.treeEl.querySelectorAll('.beam-node').forEach(el => {
+                el.classList.toggle('selected-step', Number(el.dataset.step) === step);
+            });
+        }
+    },
+
+    /**
+     * Run the searches for the current settings
+     * @returns {boolean} Whether there was a forward pass to continue from
+     */
+    compute() {
+        this.run++;
+        if (!this.treeEl || !LocalModel.isReady()) {
+            this.result = null;
+            if (this.treeEl) this.treeEl.innerHTML = '';
+            if (this.candidatesEl) this.candidatesEl.innerHTML = '';
+            return false;
+        }
+
+        this.result = this.search(CONFIG.beam.width);
+        this.greedy = CONFIG.beam.width > 1 ? this.search(1).best : this.result.best;
+        return true;
+    },
+
+    /**
+     * Recompute and draw the finished tree without animation
+     */
+    render() {
+        if (!this.shown || !this.compute()) return;
+
+        this.drawTree(false);
+        this.selectStep(this.result.levels.length - 1);
+        this.updateInfo();
+    },
+
+    /**
+     * Describe the best hypothesis and compare it with greedy decoding
+     */
+    updateInfo() {
+        if (!this.infoEl) return;
+
+        const { best, passes } = this.result;
+        const describe = node => `"${node.words.join(' ')}" (log p ${node.cumulative.toFixed(2)}, score ${node.score.toFixed(2)})`;
+        const source = EmbeddingsVisualizer.table ? '' : ' · no embedding table, so only the prompt\'s words are candidates';
+
+        this.infoEl.classList.toggle('simulated', !EmbeddingsVisualizer.table);
+        this.infoEl.textContent = `Best ${describe(best)} · greedy ${describe(this.greedy)} · ` +
+            `score = log p / ((5 + length) / 6)^${CONFIG.beam.lengthPenalty} · ${passes} forward passes of the local model${source}`;
+    },
+
+    /**
+     * Grow the tree one step at a time, then fade out the pruned beams
+     * @returns {Promise} Resolves when animation is complete
+     */
+    async animate() {
+        return new Promise((resolve) => {
+            if (!this.compute()) {
+                resolve();
+                return;
+            }
+
+            const run = this.run;
+            const stepDelay = getTiming('outputTokenDelay') * 8;
+            const steps = this.result.levels.length - 1;
+
+            this.drawTree(true);
+            this.updateInfo();
+            if (this.candidatesEl) this.candidatesEl.innerHTML = '';
+
+            for (let step = 1; step <= steps; step++) {
+                setTimeout(() => {
+                    if (run !== this.run) return;
+
+                    this.treeEl.querySelectorAll(`[data-step="${step}"]`).forEach(el => el.classList.remove('pending'));
+                    this.selectStep(step);
+
+                    // Once the step is visible, fade out what it pruned
+                    setTimeout(() => {
+                        if (run !== this.run) return;
+                        this.result.levels[step].forEach(node => {
+                            this.treeEl.querySelectorAll(`[data-id="${node.id}"]`).forEach(el => el.classList.add(node.status));
+                        });
+                    }, stepDelay / 2);
+                }, (step - 1) * stepDelay);
+            }
+
+            setTimeout(resolve, steps * stepDelay);
+        });
+    },
+
+    /**
+     * Show the tree for the latest forward pass
+     * @returns {Promise} Resolves when animation is complete
+     */
+    show() {
+        this.shown = true;
+        return this.animate();
+    }
+};
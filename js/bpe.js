@@ -0,0 +1,296 @@
+/**
+ * Byte-Level BPE Tokenizer
+ * GPT-2 style tokenizer driven by a local vocab.json + merges.txt
+ */
+const BPETokenizer = {
+    encoder: null,      // piece → id
+    decoder: null,      // id → piece
+    bpeRanks: null,     // "a b" → merge rank
+    byteEncoder: null,  // byte → printable unicode char
+    byteDecoder: null,  // printable unicode char → byte
+    cache: new Map(),
+    loadPromise: null,
+
+    // GPT-2 pre-tokenization pattern (contractions, letters, numbers, symbols, whitespace)
+    pattern: /'s|'t|'re|'ve|'m|'ll|'d| ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s+(?!\S)|\s+/gu,
+
+    /**
+     * Load vocabulary and merge table (cached after the first call)
+     * Resolves to false when the files are unavailable
+     * @returns {Promise<boolean>} True if the tokenizer is ready
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.fetchFiles().catch((error) => {
+                console.warn('BPE tokenizer unavailable, using simulated tokenization:', error.message);
+                return false;
+            });
+        }
+        return this.loadPromise;
+    },
+
+    /**
+     * Fetch and parse vocab.json and merges.txt
+     * @returns {Promise<boolean>}
+     */
+    async fetchFiles() {
+        const [vocabResponse, mergesResponse] = await Promise.all([
+            fetch(CONFIG.tokenizer.vocabUrl),
+            fetch(CONFIG.tokenizer.mergesUrl)
+        ]);
+
+        if (!vocabResponse.ok || !mergesResponse.ok) {
+            throw new Error(`Could not load ${CONFIG.tokenizer.vocabUrl} / ${CONFIG.tokenizer.mergesUrl}`);
+        }
+
+        const vocab = await vocabResponse.json();
+        const mergesText = await mergesResponse.text();
+
+        this.encoder = new Map(Object.entries(vocab));
+        this.decoder = new Map();
+        this.encoder.forEach((id, piece) => this.decoder.set(id, piece));
+
+        // One merge per line, earlier lines have higher priority
+        this.bpeRanks = new Map();
+        mergesText.split('\n')
+            .filter(line => line.trim() && !line.startsWith('#version'))
+            .forEach((line, rank) => this.bpeRanks.set(line.trim(), rank));
+
+        this.buildByteMaps();
+        this.cache.clear();
+        return true;
+    },
+
+    /**
+     * Build GPT-2's reversible byte ↔ unicode mapping
+     * Printable bytes map to themselves, the rest are shifted above 255
+     */
+    buildByteMaps() {
+        const bytes = [];
+        for (let b = 33; b <= 126; b++) bytes.push(b);
+        for (let b = 161; b <= 172; b++) bytes.push(b);
+        for (let b = 174; b <= 255; b++) bytes.push(b);
+
+        const chars = bytes.slice();
+        let shift = 0;
+        for (let b = 0; b < 256; b++) {
+            if (!bytes.includes(b)) {
+                bytes.push(b);
+                chars.push(256 + shift);
+                shift++;
+            }
+        }
+
+        this.byteEncoder = new Map();
+        this.byteDecoder = new Map();
+        bytes.forEach((b, i) => {
+            const char = String.fromCharCode(chars[i]);
+            this.byteEncoder.set(b, char);
+            this.byteDecoder.set(char, b);
+        });
+    },
+
+    /**
+     * Check whether vocab and merges are loaded
+     * @returns {boolean}
+     */
+    isLoaded() {
+        return this.encoder !== null;
+    },
+
+    /**
+     * Get the vocabulary size
+     * @returns {number}
+     */
+    getVocabSize() {
+        return this.encoder ? this.encoder.size : 0;
+    },
+
+    /**
+     * Look up the id of a piece
+     * @param {string} piece - Byte-level piece (e.g. 'Ġthe')
+     * @returns {number|null} Token id or null if not in vocabulary
+     */
+    tokenToId(piece) {
+        return this.encoder && this.encoder.has(piece) ? this.encoder.get(piece) : null;
+    },
+
+    /**
+     * Apply ranked merges to a single pre-token
+     * @param {string} word - Pre-token already mapped to byte-level characters
+     * @param {Object[]} [steps] - If given, each applied merge is recorded here (bypasses the cache)
+     * @returns {string[]} Final pieces
+     */
+    bpe(word, steps) {
+        if (!steps && this.cache.has(word)) {
+            return this.cache.get(word);
+        }
+
+        let parts = Array.from(word);
+
+        while (parts.length > 1) {
+            // Find the adjacent pair with the lowest merge rank
+            let bestRank = Infinity;
+            let bestPair = null;
+            for (let i = 0; i < parts.length - 1; i++) {
+                const rank = this.bpeRanks.get(`${parts[i]} ${parts[i + 1]}`);
+                if (rank !== undefined && rank < bestRank) {
+                    bestRank = rank;
+                    bestPair = [parts[i], parts[i + 1]];
+                }
+            }
+
+            if (!bestPair) break;
+
+            if (steps) {
+                steps.push({ pair: bestPair, rank: bestRank });
+            }
+
+            // Merge every occurrence of the pair, left to right
+            const merged = [];
+            for (let i = 0; i < parts.length; i++) {
+                if (i < parts.length - 1 && parts[i] === bestPair[0] && parts[i + 1] === bestPair[1]) {
+                    merged.push(bestPair[0] + bestPair[1]);
+                    i++;
+                } else {
+                    merged.push(parts[i]);
+                }
+            }
+            parts = merged;
+        }
+
+        if (!steps) {
+            this.cache.set(word, parts);
+        }
+        return parts;
+    },
+
+    /**
+     * Record every merge applied while encoding text
+     * Steps are sorted by rank; within a word ranks always increase, so
+     * replaying them in this order reproduces the final pieces
+     * @param {string} text - Input text
+     * @returns {Object} { words: string[][] initial symbols per pre-token, steps: { word, pair, rank }[] }
+     */
+    traceMerges(text) {
+        const words = [];
+        const steps = [];
+
+        for (const match of text.matchAll(this.pattern)) {
+            const byteWord = this.toByteLevel(match[0]);
+            const wordSteps = [];
+            this.bpe(byteWord, wordSteps);
+
+            wordSteps.forEach(step => steps.push({ word: words.length, ...step }));
+            words.push(Array.from(byteWord));
+        }
+
+        steps.sort((a, b) => a.rank - b.rank || a.word - b.word);
+        return { words, steps };
+    },
+
+    /**
+     * Encode text into byte-level BPE pieces
+     * Pieces that are not in the vocabulary are split into single bytes, and
+     * pieces that hold only part of a character are flagged as byte fallback
+     * @param {string} text - Input text
+     * @returns {Object[]} Array of { piece, id, text, byteStart, byteEnd, byteFallback?, bytes?, graphemes? } objects
+     */
+    encode(text) {
+        const pieces = [];
+        let offset = 0;
+
+        for (const match of text.matchAll(this.pattern)) {
+            const byteWord = this.toByteLevel(match[0]);
+
+            this.bpe(byteWord).forEach(piece => {
+                // Out-of-vocabulary pieces fall back to one token per byte
+                const parts = this.tokenToId(piece) === null && piece.length > 1 ? Array.from(piece) : [piece];
+
+                parts.forEach(part => {
+                    pieces.push({
+                        piece: part,
+                        id: this.tokenToId(part),
+                        text: this.decodePiece(part),
+                        byteStart: offset,
+                        byteEnd: offset + part.length
+                    });
+                    offset += part.length;
+                });
+            });
+        }
+
+        this.markByteFallback(text, pieces);
+        return pieces;
+    },
+
+    /**
+     * Flag pieces whose bytes don't form complete characters
+     * and record which graphemes of the original text they came from
+     * @param {string} text - Original text
+     * @param {Object[]} pieces - Pieces with byte offsets
+     */
+    markByteFallback(text, pieces) {
+        const encoder = new TextEncoder();
+        const strict = new TextDecoder('utf-8', { fatal: true });
+
+        // Byte range of every grapheme in the original text
+        let offset = 0;
+        const graphemes = splitGraphemes(text).map(grapheme => {
+            const length = encoder.encode(grapheme).length;
+            const range = { grapheme, start: offset, end: offset + length };
+            offset += length;
+            return range;
+        });
+
+        pieces.forEach(piece => {
+            const bytes = Array.from(piece.piece, char => this.byteDecoder.get(char));
+            try {
+                strict.decode(new Uint8Array(bytes));
+            } catch {
+                piece.byteFallback = true;
+                piece.bytes = bytes;
+                piece.graphemes = graphemes
+                    .filter(g => g.start < piece.byteEnd && g.end > piece.byteStart)
+                    .map(g => g.grapheme);
+            }
+        });
+    },
+
+    /**
+     * Label a byte-fallback piece as <0xNN> tokens
+     * @param {Object} piece - Piece with a bytes array
+     * @returns {string} e.g. '<0xF0><0x9F>'
+     */
+    byteFallbackLabel(piece) {
+        return piece.bytes.map(b => `<0x${this.toHex(b)}>`).join('');
+    },
+
+    /**
+     * Format a byte as two uppercase hex digits
+     * @param {number} byte - Byte value
+     * @returns {string}
+     */
+    toHex(byte) {
+        return byte.toString(16).toUpperCase().padStart(2, '0');
+    },
+
+    /**
+     * Map text to GPT-2's printable byte-level characters
+     * @param {string} text - Raw text
+     * @returns {string} One character per UTF-8 byte
+     */
+    toByteLevel(text) {
+        return Array.from(new TextEncoder().encode(text), b => this.byteEncoder.get(b)).join('');
+    },
+
+    /**
+     * Decode a byte-level piece back to text
+     * @param {string} piece - Byte-level piece
+     * @returns {string} Decoded text
+     */
+    decodePiece(piece) {
+        const bytes = Array.from(piece, char => this.byteDecoder.get(char));
+        return new TextDecoder().decode(new Uint8Array(bytes));
+    }
+};
@@ -0,0 +1,100 @@
+/**
+ * Chat Template Module
+ * Renders system/user/assistant turns into the exact string a chat model receives
+ */
+const ChatTemplates = {
+    select: null,
+
+    // Each template lists its special tokens so the tokenizer keeps them whole
+    templates: {
+        raw: {
+            label: 'Raw prompt',
+            specialTokens: null,
+            render(messages) {
+                const user = messages.filter(m => m.role === 'user').pop();
+                return user ? user.content : '';
+            }
+        },
+        chatml: {
+            label: 'ChatML',
+            specialTokens: ['<|im_start|>', '<|im_end|>'],
+            render(messages) {
+                const turns = messages.map(m => `<|im_start|>${m.role}\n${m.content}<|im_end|>\n`).join('');
+                return `${turns}<|im_start|>assistant\n`;
+            }
+        },
+        llama3: {
+            label: 'Llama 3',
+            specialTokens: ['<|begin_of_text|>', '<|start_header_id|>', '<|end_header_id|>', '<|eot_id|>'],
+            render(messages) {
+                const header = role => `<|start_header_id|>${role}<|end_header_id|>\n\n`;
+                const turns = messages.map(m => `${header(m.role)}${m.content}<|eot_id|>`).join('');
+                return `<|begin_of_text|>${turns}${header('assistant')}`;
+            }
+        },
+        mistral: {
+            label: 'Mistral',
+            specialTokens: ['<s>', '</s>', '[INST]', '[/INST]'],
+            render(messages) {
+                // No system role: the system prompt is prepended to the first user turn
+                const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+                let pendingSystem = system;
+                let text = '<s>';
+
+                messages.filter(m => m.role !== 'system').forEach(m => {
+                    if (m.role === 'user') {
+                        const content = pendingSystem ? `${pendingSystem}\n\n${m.content}` : m.content;
+                        pendingSystem = '';
+                        text += `[INST] ${content} [/INST]`;
+                    } else {
+                        text += ` ${m.content}</s>`;
+                    }
+                });
+
+                return text;
+            }
+        }
+    },
+
+    /**
+     * Initialize the template selector
+     */
+    init() {
+        this.select = document.getElementById('chat-template');
+        if (!this.select) return;
+
+        this.select.innerHTML = Object.entries(this.templates)
+            .map(([key, template]) => `<option value="${key}">${template.label}</option>`)
+            .join('');
+        this.select.value = CONFIG.tokenizer.chatTemplate;
+
+        this.select.addEventListener('change', () => {
+            CONFIG.tokenizer.chatTemplate = this.select.value;
+        });
+    },
+
+    /**
+     * Get the active template
+     * @returns {Object} Template definition
+     */
+    getActive() {
+        return this.templates[CONFIG.tokenizer.chatTemplate] || this.templates.raw;
+    },
+
+    /**
+     * Render a message list with the active template
+     * @param {Object[]} messages - Array of { role, content } messages
+     * @returns {string} Prompt string as the model receives it
+     */
+    render(messages) {
+        return this.getActive().render(messages);
+    },
+
+    /**
+     * Get the special tokens of the active template
+     * @returns {string[]|null} Special tokens, or null for the raw prompt
+     */
+    getSpecialTokens() {
+        return this.getActive().specialTokens;
+    }
+};
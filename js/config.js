@@ -7,14 +7,18 @@ const CONFIG = {
         baseUrl: 'https://zenmux.ai/api/v1',
         apiKey: 'your-key',
         model: 'xiaomi/mimo-v2-flash',
+        systemPrompt: 'You are a helpful, concise assistant. Keep responses brief and informative.',
         maxTokens: 1024,
         temperature: 0.7,
-        stream: true
+        stream: true,
+        logprobs: true,         // Request per-token log-probabilities (OpenAI-compatible)
+        topLogprobs: 5          // Alternatives returned per token (most providers allow up to 20)
     },
     
     // Animation timing (in milliseconds)
     timing: {
         tokenDelay: 100,        // Delay between each token appearing
+        bpeMerge: 120,          // Time per merge step in the BPE replay
         layerTransition: 500,   // Time to transition between layers
         embeddingBuild: 800,    // Time to build embedding visualization
         attentionDraw: 1000,    // Time to draw attention matrix
@@ -27,13 +31,114 @@ const CONFIG = {
     
     // Visualization settings
     visualization: {
-        embeddingDimensions: 8,     // Number of bars to show for embeddings
-        attentionMaxTokens: 12,     // Max tokens to show in attention visualization
+        embeddingDimensions: 8,     // Number of bars (first N dims) or an explicit list of dims
+        embeddingProjection: 'dimensions', // 'dimensions' (raw dims) or 'pca' (top components)
+        projectionMethod: 'pca',    // Scatter plot projection: 'pca', 'tsne' or 'umap'
+        projectionDims: 2,          // Scatter plot dimensionality (2 or 3)
+        projectionNeighbors: 3,     // k for the UMAP-lite neighbour graph
+        projectionSeed: 7,          // Seed for t-SNE initialization
+        similarityNeighbors: 8,     // Nearest neighbours listed by the similarity explorer
+        attentionMaxTokens: 12,     // Max tokens to show in attention visualization (the tail of the prompt)
+        attentionHeads: 4,          // Number of attention heads (each with its own Q/K/V)
+        attentionView: 'grid',      // 'grid' (all heads), 'head' (one head) or 'average'
+        attentionStyle: 'heatmap',  // 'heatmap' (matrix) or 'lines' (query → key curves)
+        attentionHead: 0,           // Head shown in the single-head view
+        attentionBlock: 0,          // Transformer block shown in the attention layer
+        attentionMask: {
+            type: 'causal',         // 'causal', 'bidirectional', 'sliding', 'sparse', 'block' or 'prefix'
+            window: 3,              // Sliding window width (tokens, including itself)
+            stride: 3,              // Strided sparse: local span and stride
+            blockSize: 4,           // Block-local sparse: tokens per block
+            prefixLength: 4         // Prefix-LM: tokens that attend bidirectionally
+        },
         ffnLayers: 3,               // Number of FFN layers to visualize
         ffnNeuronsPerLayer: 5,      // Neurons per FFN layer
         topKOutputTokens: 5         // Top K tokens to show in output probabilities
     },
     
+    // Tokenizer files (GPT-2 style byte-level BPE)
+    tokenizer: {
+        vocabUrl: 'data/vocab.json',    // Piece → id map
+        mergesUrl: 'data/merges.txt',   // Ranked merge list
+        wordpieceVocabUrl: 'data/vocab.txt', // Optional BERT-style vocab for the comparison view
+        specialToken: '<|endoftext|>',  // Vocabulary entry used for <BOS>/<EOS> ids
+        chatTemplate: 'chatml',         // 'raw', 'chatml', 'llama3' or 'mistral'
+        replayMerges: true              // Replay BPE merges step by step when merges are loaded
+    },
+
+    // Pretrained embedding table
+    embeddings: {
+        tableUrl: 'data/embeddings.json', // JSON word → vector map, GloVe/word2vec text or word2vec .bin
+        fallbackDimensions: 50,           // Placeholder vector size when no table is loaded
+        oovScale: 0.4,                    // Placeholder value scale for out-of-vocabulary tokens
+        pcaSampleSize: 2000               // Table rows used to fit PCA components
+    },
+
+    // Simulated transformer weights (seeded, so runs are reproducible)
+    model: {
+        seed: 42,               // Seed for all projection matrices
+        blocks: 2,              // Number of stacked transformer blocks (attention + FFN)
+        norm: 'layernorm',      // Pre-norm before each sub-layer: 'layernorm' or 'rmsnorm'
+        headDim: 16,            // Size of each query / key / value vector
+        ffnDim: 64,             // Hidden size of each block's feed-forward network
+        activation: 'relu',     // FFN activation: 'relu', 'gelu' or 'swiglu'
+        moe: {
+            enabled: false,     // Replace each block's FFN with a routed mixture of experts
+            experts: 4,         // Number of expert FFNs per block
+            topK: 2             // Experts each token is sent to
+        },
+        initScale: 2,           // Weight std is initScale / √d_model
+        residualScale: 0.25     // Std scale of projections that write into the residual stream
+    },
+
+    // Client-side sampling playground (temperature is CONFIG.api.temperature)
+    sampling: {
+        topK: 40,               // Keep the k most likely tokens (0 = off)
+        topP: 0.9,              // Nucleus: smallest set with cumulative probability ≥ p (1 = off)
+        minP: 0.05,             // Drop tokens below minP × the top probability (0 = off)
+        repetitionPenalty: 1.1, // Divide positive (multiply negative) logits of prompt tokens
+        frequencyPenalty: 0,    // Subtract penalty × count from prompt tokens' logits
+        seed: 1,                // Seed of the token draw
+        candidates: 8           // Tokens shown per step
+    },
+
+    // Beam search over the local model
+    beam: {
+        width: 3,               // Hypotheses kept after every step
+        lengthPenalty: 0.6,     // α in score = log p / ((5 + length) / 6)^α; higher favours longer hypotheses
+        steps: 5,               // Maximum generated words per hypothesis
+        endTokens: ['.', '!', '?'] // Words that finish a hypothesis
+    },
+
+    // Autoregressive decoding with a KV cache
+    kvCache: {
+        enabled: true,          // Feed every generated token back through the local model
+        bytesPerValue: 2,       // Cache precision: 4 (fp32), 2 (fp16/bf16) or 1 (int8)
+        maxSteps: 32            // Generated tokens fed back (the response keeps streaming after that)
+    },
+
+    // Speculative decoding: an early-exit draft model proposes, the full model verifies
+    speculative: {
+        k: 4,                   // Draft tokens proposed per round
+        draftBlocks: 1,         // Blocks the draft model runs (the target's first blocks)
+        tokens: 24,             // Tokens generated per run
+        stream: false,          // Stream the result to the response instead of calling the API
+        seed: 3                 // Seed of the draft samples and accept/reject draws
+    },
+
+    // Logit lens
+    logitLens: {
+        vocabSize: 5000         // Embedding table words used as the (tied) unembedding
+    },
+
+    // Positional encoding
+    positional: {
+        scheme: 'sinusoidal',   // 'sinusoidal', 'learned', 'rope' or 'alibi'
+        base: 10000,            // Frequency base for sinusoidal and RoPE
+        learnedScale: 0.1,      // Value scale of the learned position table
+        seed: 11                // Seed for the learned position table
+    },
+
     // Token colors for visualization
     tokenColors: ['cyan', 'magenta', 'green', 'orange', 'purple']
 };
@@ -52,3 +157,30 @@ function setSpeed(multiplier) {
     CONFIG.speedMultiplier = multiplier;
     document.documentElement.style.setProperty('--speed-multiplier', 1 / multiplier);
 }
+
+/**
+ * Split text into user-perceived characters (grapheme clusters)
+ * Keeps emoji ZWJ sequences, flags and combining marks together
+ * @param {string} text - Input text
+ * @returns {string[]} Graphemes
+ */
+function splitGraphemes(text) {
+    if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+        const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+        return Array.from(segmenter.segment(text), s => s.segment);
+    }
+    return Array.from(text);
+}
+
+/**
+ * Escape text for safe insertion into innerHTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
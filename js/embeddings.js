@@ -1,16 +1,40 @@
 /**
  * Embeddings Visualization Module
- * Visualizes token embeddings as vector bar charts
+ * Looks tokens up in a pretrained embedding table and visualizes the vectors as bar charts
  */
 const EmbeddingsVisualizer = {
     container: null,
+    infoEl: null,
     embeddings: [],
 
+    // Loaded embedding table
+    table: null,        // word → Float32Array
+    tableDims: 0,
+    loadPromise: null,
+    pcaBasis: null,
+
     /**
      * Initialize the embeddings visualizer
      */
     init() {
         this.container = document.getElementById('embeddings-display');
+        this.infoEl = document.getElementById('embeddings-info');
+
+        const projectionSelect = document.getElementById('embedding-projection');
+        if (projectionSelect) {
+            projectionSelect.value = CONFIG.visualization.embeddingProjection;
+            projectionSelect.addEventListener('change', () => {
+                CONFIG.visualization.embeddingProjection = projectionSelect.value;
+                this.updateInfo();
+                // Only the displayed values change; the vectors (and their position info) are kept
+                if (this.embeddings.length > 0) {
+                    this.computeDisplayValues();
+                    this.draw().then(() => PositionalEncoding.animate(this.embeddings));
+                }
+            });
+        }
+
+        this.load().then(() => this.updateInfo());
     },
 
     /**
@@ -24,35 +48,247 @@ const EmbeddingsVisualizer = {
     },
 
     /**
-     * Generate mock embeddings for tokens
-     * In a real LLM, these would be high-dimensional vectors
-     * @param {string[]} tokens - Array of tokens
-     * @returns {Object[]} Array of embedding objects
+     * Load the embedding table (cached after the first call)
+     * Resolves to false when the file is unavailable
+     * @returns {Promise<boolean>} True if a table was loaded
      */
-    generateEmbeddings(tokens) {
-        const dims = CONFIG.visualization.embeddingDimensions;
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.fetchTable().catch((error) => {
+                console.warn('Embedding table unavailable, using placeholder vectors:', error.message);
+                return false;
+            });
+        }
+        return this.loadPromise;
+    },
 
-        this.embeddings = tokens.map((token, index) => {
-            // Generate pseudo-random but consistent values based on token
-            const seed = this.hashToken(token);
-            const values = [];
+    /**
+     * Fetch and parse the embedding table
+     * Supports a JSON word → vector map, word2vec binary (.bin) and GloVe / word2vec text
+     * @returns {Promise<boolean>}
+     */
+    async fetchTable() {
+        const url = CONFIG.embeddings.tableUrl;
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load ${url}`);
+        }
+
+        if (url.endsWith('.json')) {
+            this.table = new Map(Object.entries(await response.json()).map(([w, v]) => [w, Float32Array.from(v)]));
+        } else if (url.endsWith('.bin')) {
+            this.table = this.parseBinary(await response.arrayBuffer());
+        } else {
+            this.table = this.parseText(await response.text());
+        }
+
+        if (this.table.size === 0) {
+            throw new Error(`${url} contains no vectors`);
+        }
+
+        this.tableDims = this.table.values().next().value.length;
+        this.pcaBasis = null;
+        return true;
+    },
 
+    /**
+     * Parse GloVe / word2vec text format: one "word v1 v2 ..." line per entry
+     * An optional "count dims" header line is skipped
+     * @param {string} text - File contents
+     * @returns {Map<string, Float32Array>}
+     */
+    parseText(text) {
+        const table = new Map();
+
+        text.split('\n').forEach(line => {
+            const parts = line.trim().split(/\s+/);
+            if (parts.length < 3) return;
+            table.set(parts[0], Float32Array.from(parts.slice(1), Number));
+        });
+
+        return table;
+    },
+
+    /**
+     * Parse word2vec binary format: "count dims\n" header, then
+     * for each entry the word, a space and dims little-endian float32 values
+     * @param {ArrayBuffer} buffer - File contents
+     * @returns {Map<string, Float32Array>}
+     */
+    parseBinary(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const view = new DataView(buffer);
+        const decoder = new TextDecoder();
+        const table = new Map();
+
+        let offset = bytes.indexOf(10) + 1;
+        const [count, dims] = decoder.decode(bytes.subarray(0, offset)).trim().split(/\s+/).map(Number);
+
+        for (let n = 0; n < count && offset < bytes.length; n++) {
+            // Skip the newline some writers put before each word
+            while (bytes[offset] === 10 || bytes[offset] === 32) offset++;
+
+            const wordEnd = bytes.indexOf(32, offset);
+            const word = decoder.decode(bytes.subarray(offset, wordEnd));
+            offset = wordEnd + 1;
+
+            const vector = new Float32Array(dims);
             for (let i = 0; i < dims; i++) {
-                // Create a value between 0.1 and 1 using pseudo-random
-                const val = 0.1 + 0.9 * ((seed * (i + 1) * 9301 + 49297) % 233280) / 233280;
-                values.push(val);
+                vector[i] = view.getFloat32(offset, true);
+                offset += 4;
             }
+            table.set(word, vector);
+        }
+
+        return table;
+    },
+
+    /**
+     * Describe the active embedding source and displayed dimensions
+     */
+    updateInfo() {
+        if (!this.infoEl) return;
+
+        const dims = this.getDimensionCount();
+        const shown = CONFIG.visualization.embeddingProjection === 'pca'
+            ? `top ${this.getDisplayIndices().length} principal components`
+            : `dims ${this.describeIndices(this.getDisplayIndices())}`;
+
+        this.infoEl.classList.toggle('simulated', !this.table);
+        this.infoEl.textContent = this.table
+            ? `Pretrained table · ${this.table.size.toLocaleString()} words · ${dims}d · showing ${shown}`
+            : `Placeholder vectors (seeded random, not learned) · ${CONFIG.embeddings.tableUrl} could not be loaded · showing ${shown}`;
+    },
+
+    /**
+     * Summarize a list of dimension indices (e.g. "0–7" or "3, 10, 42")
+     * @param {number[]} indices
+     * @returns {string}
+     */
+    describeIndices(indices) {
+        const contiguous = indices.every((d, i) => i === 0 || d === indices[i - 1] + 1);
+        return contiguous && indices.length > 2
+            ? `${indices[0]}–${indices[indices.length - 1]}`
+            : indices.join(', ');
+    },
+
+    /**
+     * Full vector size (table dims, or the placeholder size without a table)
+     * @returns {number}
+     */
+    getDimensionCount() {
+        return this.table ? this.tableDims : CONFIG.embeddings.fallbackDimensions;
+    },
+
+    /**
+     * Which dimensions (or components) to draw as bars
+     * embeddingDimensions is either a count (first N) or an explicit index list
+     * @returns {number[]}
+     */
+    getDisplayIndices() {
+        const setting = CONFIG.visualization.embeddingDimensions;
+        const total = this.getDimensionCount();
+
+        if (Array.isArray(setting)) {
+            return setting.filter(d => d >= 0 && d < total);
+        }
+        return Array.from({ length: Math.min(setting, total) }, (_, i) => i);
+    },
+
+    /**
+     * Normalize a token for table lookup (GloVe tables are lowercased, no leading space)
+     * @param {string} token - Token string
+     * @returns {string}
+     */
+    normalizeToken(token) {
+        return token.trim().toLowerCase();
+    },
+
+    /**
+     * Look up a word in the embedding table
+     * @param {string} token - Token string
+     * @returns {Float32Array|null} Vector, or null if out of vocabulary
+     */
+    lookup(token) {
+        if (!this.table) return null;
+        const word = this.normalizeToken(token);
+        return word ? this.table.get(word) || null : null;
+    },
+
+    /**
+     * Deterministic placeholder vector for tokens without a pretrained vector
+     * @param {string} token - Token string
+     * @returns {number[]} Vector with roughly unit-variance entries
+     */
+    placeholderVector(token) {
+        const rng = MathUtils.createRng(this.hashToken(token));
+        const scale = this.table ? CONFIG.embeddings.oovScale : 1;
+        return Array.from({ length: this.getDimensionCount() }, () => MathUtils.gaussian(rng) * scale);
+    },
+
+    /**
+     * Look up embeddings for tokens
+     * Tokens missing from the table get a placeholder vector and are flagged as OOV
+     * @param {string[]} tokens - Array of tokens
+     * @returns {Object[]} Array of { token, index, vector, values, source } objects
+     */
+    generateEmbeddings(tokens) {
+        const specials = TokenizerVisualizer.getPieces();
+
+        this.embeddings = tokens.map((token, index) => {
+            const isSpecial = specials[index] && specials[index].special;
+            const found = isSpecial ? null : this.lookup(token);
+            const vector = found ? Array.from(found) : this.placeholderVector(token);
 
             return {
                 token: token,
                 index: index,
-                values: values
+                vector: vector,
+                values: [],
+                source: found ? 'table' : this.table ? 'oov' : 'placeholder'
             };
         });
 
+        this.computeDisplayValues();
         return this.embeddings;
     },
 
+    /**
+     * Fill each embedding's displayed values from the selected dimensions or PCA components
+     */
+    computeDisplayValues() {
+        const indices = this.getDisplayIndices();
+
+        if (CONFIG.visualization.embeddingProjection === 'pca') {
+            const pca = this.getPCABasis(indices.length);
+            this.embeddings.forEach(emb => {
+                emb.values = pca ? MathUtils.project(emb.vector, pca) : indices.map(d => emb.vector[d]);
+            });
+        } else {
+            this.embeddings.forEach(emb => {
+                emb.values = indices.map(d => emb.vector[d]);
+            });
+        }
+    },
+
+    /**
+     * PCA basis fitted on a sample of the table (or the prompt's vectors without a table)
+     * @param {number} k - Number of components
+     * @returns {Object|null} Result of MathUtils.principalComponents
+     */
+    getPCABasis(k) {
+        if (this.table) {
+            if (!this.pcaBasis || this.pcaBasis.components.length !== k) {
+                const sample = Array.from(this.table.values()).slice(0, CONFIG.embeddings.pcaSampleSize).map(v => Array.from(v));
+                this.pcaBasis = MathUtils.principalComponents(sample, k);
+            }
+            return this.pcaBasis;
+        }
+
+        const vectors = this.embeddings.map(e => e.vector);
+        return vectors.length > 1 ? MathUtils.principalComponents(vectors, k) : null;
+    },
+
     /**
      * Simple hash function for token
      * @param {string} token - Token string
@@ -74,30 +310,58 @@ const EmbeddingsVisualizer = {
      * @returns {Promise} Resolves when animation is complete
      */
     async animate(tokens) {
+        await this.load();
+
+        this.clear();
+        this.generateEmbeddings(tokens);
+        this.updateInfo();
+        return this.draw();
+    },
+
+    /**
+     * Draw the displayed values of the current embeddings, staggered
+     * @returns {Promise} Resolves when animation is complete
+     */
+    draw() {
         return new Promise((resolve) => {
-            this.clear();
-            this.generateEmbeddings(tokens);
+            if (this.container) {
+                this.container.innerHTML = '';
+            }
+
+            // Show the window the later layers run on (the tail of the prompt)
+            const displayEmbeddings = this.embeddings.slice(TransformerBlocks.windowStart(this.embeddings.length));
 
-            // Limit display tokens for visualization
-            const displayEmbeddings = this.embeddings.slice(0, CONFIG.visualization.attentionMaxTokens);
+            // Bars share one scale so magnitudes are comparable across tokens
+            const maxAbs = Math.max(1e-6, ...displayEmbeddings.flatMap(e => e.values.map(Math.abs)));
 
             displayEmbeddings.forEach((emb, index) => {
                 const embEl = document.createElement('div');
                 embEl.className = 'embedding';
+                embEl.dataset.index = emb.index;
+                if (emb.source !== 'table') {
+                    embEl.classList.add(emb.source);
+                }
 
-                // Create bars HTML
+                // Create bars HTML (height = magnitude, negative values drawn hollow)
                 const barsHTML = emb.values.map((val, i) => {
-                    const height = Math.round(val * 36) + 4; // 4-40px range
+                    const height = Math.round(Math.abs(val) / maxAbs * 36) + 4; // 4-40px range
                     const hue = (i / emb.values.length) * 180 + 180; // Cyan to magenta range
-                    return `<div class="embedding-bar" style="height: ${height}px; background: hsl(${hue}, 100%, 60%);"></div>`;
+                    const negative = val < 0 ? ' negative' : '';
+                    return `<div class="embedding-bar${negative}" style="height: ${height}px; --bar-color: hsl(${hue}, 100%, 60%);" title="${val.toFixed(3)}"></div>`;
                 }).join('');
 
                 // Token label (truncated if too long)
                 const label = emb.token.length > 6 ? emb.token.slice(0, 6) + '…' : emb.token;
+                const badge = emb.source === 'oov' ? '<div class="embedding-badge">OOV</div>' : '';
+
+                embEl.title = emb.source === 'oov'
+                    ? `"${emb.token.trim()}" is not in the embedding table - placeholder vector`
+                    : emb.token;
 
                 embEl.innerHTML = `
+                    ${badge}
                     <div class="embedding-bars">${barsHTML}</div>
-                    <div class="embedding-label">${label}</div>
+                    <div class="embedding-label">${escapeHTML(label)}</div>
                 `;
 
                 this.container.appendChild(embEl);
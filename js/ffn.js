@@ -1,17 +1,139 @@
 /**
  * Feed-Forward Network Visualization Module
- * Visualizes the feed-forward neural network processing
+ * Visualizes the feed-forward network of the displayed block for one token:
+ * neuron brightness is the real activation, line colour and width are the weight sign and size.
+ * In mixture-of-experts mode it shows every expert, the router's choices and the expert load
  */
 const FFNVisualizer = {
     container: null,
+    curveEl: null,
+    infoEl: null,
+    routingEl: null,
+    tokenSelect: null,
     layers: [],
     connections: [],
+    token: null,        // Selected token position (null = last token)
+    data: null,         // { block, token, tokenText, networks, chosen, routing } of the selected token
+    shown: false,
+
+    modes: {
+        dense: 'Dense',
+        moe: 'Mixture of experts'
+    },
+
+    // One colour per expert (rgb triplets, used with rgba())
+    expertColors: [
+        '0, 245, 255',
+        '255, 0, 255',
+        '0, 255, 136',
+        '255, 136, 0',
+        '136, 85, 255',
+        '255, 221, 0',
+        '255, 85, 85',
+        '85, 170, 255'
+    ],
 
     /**
-     * Initialize the FFN visualizer
+     * Initialize the FFN visualizer and its controls
      */
     init() {
         this.container = document.getElementById('ffn-display');
+        this.curveEl = document.getElementById('ffn-curve');
+        this.infoEl = document.getElementById('ffn-info');
+        this.routingEl = document.getElementById('ffn-routing');
+        this.tokenSelect = document.getElementById('ffn-token');
+
+        const activationSelect = document.getElementById('ffn-activation');
+        if (activationSelect) {
+            activationSelect.innerHTML = Object.entries(TransformerBlocks.activations)
+                .map(([key, label]) => `<option value="${key}">${label}</option>`)
+                .join('');
+            activationSelect.value = CONFIG.model.activation;
+            activationSelect.addEventListener('change', () => {
+                CONFIG.model.activation = activationSelect.value;
+                // The activation changes every later stream value, so rerun the forward pass
+                AttentionVisualizer.recompute();
+                this.renderCurve();
+            });
+        }
+
+        if (this.tokenSelect) {
+            this.tokenSelect.addEventListener('change', () => {
+                this.token = Number(this.tokenSelect.value);
+                this.render();
+            });
+        }
+
+        const modeSelect = document.getElementById('ffn-mode');
+        if (modeSelect) {
+            modeSelect.innerHTML = Object.entries(this.modes)
+                .map(([key, label]) => `<option value="${key}">${label}</option>`)
+                .join('');
+            modeSelect.value = CONFIG.model.moe.enabled ? 'moe' : 'dense';
+            modeSelect.addEventListener('change', () => {
+                CONFIG.model.moe.enabled = modeSelect.value === 'moe';
+                this.syncMoEControls();
+                AttentionVisualizer.recompute();
+            });
+        }
+
+        const expertsInput = document.getElementById('ffn-experts');
+        if (expertsInput) {
+            expertsInput.addEventListener('change', () => {
+                const value = Math.min(this.expertColors.length, Math.max(2, Math.round(Number(expertsInput.value)) || 2));
+                CONFIG.model.moe.experts = value;
+                CONFIG.model.moe.topK = Math.min(CONFIG.model.moe.topK, value);
+                this.syncMoEControls();
+                AttentionVisualizer.recompute();
+            });
+        }
+
+        const topKInput = document.getElementById('ffn-topk');
+        if (topKInput) {
+            topKInput.addEventListener('change', () => {
+                CONFIG.model.moe.topK = Math.min(CONFIG.model.moe.experts, Math.max(1, Math.round(Number(topKInput.value)) || 1));
+                this.syncMoEControls();
+                AttentionVisualizer.recompute();
+            });
+        }
+
+        if (this.routingEl) {
+            this.routingEl.addEventListener('click', (e) => {
+                const row = e.target.closest('.ffn-routing-row[data-token]');
+                if (row) {
+                    this.token = Number(row.dataset.token);
+                    this.render();
+                }
+            });
+        }
+
+        this.syncMoEControls();
+        this.renderCurve();
+    },
+
+    /**
+     * Show the expert count and top-k inputs only in mixture-of-experts mode
+     */
+    syncMoEControls() {
+        const { enabled, experts, topK } = CONFIG.model.moe;
+
+        const expertsInput = document.getElementById('ffn-experts');
+        if (expertsInput) {
+            expertsInput.max = this.expertColors.length;
+            expertsInput.value = experts;
+        }
+        const topKInput = document.getElementById('ffn-topk');
+        if (topKInput) {
+            topKInput.max = experts;
+            topKInput.value = topK;
+        }
+
+        ['ffn-experts-label', 'ffn-topk-label'].forEach(id => {
+            const label = document.getElementById(id);
+            if (label) {
+                label.hidden = !enabled;
+            }
+        });
     },
 
     /**
@@ -20,15 +142,132 @@ const FFNVisualizer = {
     clear() {
         if (this.container) {
             this.container.innerHTML = '';
+            this.container.classList.remove('moe');
+        }
+        if (this.infoEl) {
+            this.infoEl.textContent = '';
+        }
+        if (this.routingEl) {
+            this.routingEl.innerHTML = '';
+        }
+        if (this.tokenSelect) {
+            this.tokenSelect.innerHTML = '';
         }
         this.layers = [];
         this.connections = [];
+        this.token = null;
+        this.data = null;
+        this.shown = false;
+        this.renderCurve();
+    },
+
+    /**
+     * Fill the token selector from the last forward pass
+     * @param {string[]} tokens - Tokens of the forward pass
+     */
+    syncControls(tokens) {
+        if (!this.tokenSelect) return;
+
+        this.tokenSelect.innerHTML = tokens
+            .map((token, i) => `<option value="${i}">${i}: ${escapeHTML(token.length > 10 ? token.slice(0, 10) + '…' : token)}</option>`)
+            .join('');
+        if (tokens.length > 0) {
+            this.tokenSelect.value = String(this.getToken(tokens.length));
+        }
+    },
+
+    /**
+     * Selected token position, defaulting to the last token (the one predicting the next)
+     * @param {number} count - Number of tokens
+     * @returns {number}
+     */
+    getToken(count) {
+        return this.token === null ? count - 1 : Math.min(this.token, count - 1);
+    },
+
+    /**
+     * Whether a hidden unit is switched off by the activation
+     * ReLU zeroes every negative pre-activation; GELU and the Swish gate of SwiGLU
+     * squash it to a small value instead
+     * @param {number} pre - Pre-activation value (x·W)
+     * @returns {string|null} 'zeroed', 'gated' or null
+     */
+    silencedBy(pre) {
+        if (pre > 0) return null;
+        return CONFIG.model.activation === 'relu' ? 'zeroed' : 'gated';
+    },
+
+    /**
+     * One token's activations in every layer of a feed-forward network
+     * @param {Object} ffn - Result of TransformerBlocks.feedForward()
+     * @param {number} token - Token position
+     * @returns {Object[]} [{ pre, linear, post, flags, maxAbs }], input first
+     */
+    tokenLayers(ffn, token) {
+        const last = ffn.layers.length - 1;
+
+        return ffn.layers.map((layer, l) => {
+            const pre = layer.pre[token];
+            const post = layer.post[token];
+            const hidden = l > 0 && l < last;
+            return {
+                pre,
+                linear: layer.linear ? layer.linear[token] : null,
+                post,
+                flags: hidden ? pre.map(x => this.silencedBy(x)) : null,
+                maxAbs: Math.max(1e-6, ...post.map(Math.abs))
+            };
+        });
+    },
+
+    /**
+     * Collect the selected token's activations in the displayed block
+     * Uses the token's normalized stream after attention as the FFN input.
+     * Dense mode has one network; MoE mode has one per expert plus the router's choice
+     * @returns {Object|null} { block, token, tokenText, tokens, networks: [{ layers, weights }], chosen: [{ expert, gate }], routing }
+     */
+    compute() {
+        const result = TransformerBlocks.getResult();
+        if (!result || result.blocks.length === 0) {
+            this.data = null;
+            return null;
+        }
+
+        const block = AttentionVisualizer.getBlock();
+        const { ffn, ffnInput } = result.blocks[block];
+        const token = this.getToken(result.tokens.length);
+        const weights = TransformerBlocks.getBlockWeights(ffnInput[0].length, block);
+
+        const networks = ffn.routing
+            ? ffn.experts.map((expert, e) => ({ layers: this.tokenLayers(expert, token), weights: weights.experts[e] }))
+            : [{ layers: this.tokenLayers(ffn, token), weights: weights.ffn }];
+
+        this.data = {
+            block,
+            token,
+            tokenText: result.tokens[token],
+            tokens: result.tokens,
+            networks,
+            chosen: ffn.routing ? ffn.routing[token].chosen : [{ expert: 0, gate: 1 }],
+            routing: ffn.routing || null
+        };
+        return this.data;
+    },
+
+    /**
+     * Network of the selected token's highest-gated expert (the only one in dense mode)
+     * @returns {Object|null} { layers, weights }
+     */
+    getPrimary() {
+        return this.data ? this.data.networks[this.data.chosen[0].expert] : null;
     },
 
     /**
      * Create the FFN structure HTML
+     * @param {Element} target - Element to build the network in
+     * @param {Object|null} network - { layers, weights } to show, or null for an idle network
      */
-    createStructure() {
+    createStructure(target = this.container, network = this.getPrimary()) {
         const numLayers = CONFIG.visualization.ffnLayers;
         const neuronsPerLayer = CONFIG.visualization.ffnNeuronsPerLayer;
 
@@ -60,7 +299,8 @@ const FFNVisualizer = {
             }
         }
 
-        this.container.innerHTML = html;
+        target.innerHTML = html;
+        this.applyData(target, network);
     },
 
     /**
@@ -76,13 +316,14 @@ const FFNVisualizer = {
             for (let j = 0; j < neurons; j++) {
                 const y1 = spacing * (i + 1);
                 const y2 = spacing * (j + 1);
-                paths += `<line 
-                    class="ffn-connection-line" 
-                    x1="0" y1="${y1}" 
-                    x2="60" y2="${y2}" 
+                paths += `<line
+                    class="ffn-connection-line"
+                    x1="0" y1="${y1}"
+                    x2="60" y2="${y2}"
                     data-from="${i}" data-to="${j}"
                     stroke="rgba(255,255,255,0.1)"
                     stroke-width="1"
+                    vector-effect="non-scaling-stroke"
                 />`;
             }
         }
@@ -90,30 +331,318 @@ const FFNVisualizer = {
         return paths;
     },
 
+    /**
+     * Write the computed activations and weights onto the neurons and lines
+     * Each layer shows its first ffnNeuronsPerLayer units
+     * @param {Element} target - Element holding the network
+     * @param {Object|null} network - { layers, weights }
+     */
+    applyData(target, network) {
+        if (!network) return;
+
+        target.querySelectorAll('.ffn-neuron').forEach(neuron => {
+            const layer = network.layers[Number(neuron.dataset.layer)];
+            const n = Number(neuron.dataset.neuron);
+            if (!layer || layer.post[n] === undefined) return;
+
+            const value = layer.post[n];
+            const flag = layer.flags ? layer.flags[n] : null;
+            neuron.style.setProperty('--activation', (Math.abs(value) / layer.maxAbs).toFixed(3));
+            neuron.classList.toggle('negative', value < 0);
+            neuron.classList.toggle('zeroed', flag === 'zeroed');
+            neuron.classList.toggle('gated', flag === 'gated');
+
+            const linear = layer.linear ? ` · x·V ${layer.linear[n].toFixed(3)}` : '';
+            neuron.title = layer.flags
+                ? `unit ${n}: x·W ${layer.pre[n].toFixed(3)}${linear} → ${value.toFixed(3)}${flag ? ` (${flag})` : ''}`
+                : `dim ${n}: ${value.toFixed(3)}`;
+        });
+
+        target.querySelectorAll('.ffn-connections').forEach(group => {
+            const matrix = network.weights[Number(group.dataset.from)];
+            if (!matrix) return;
+
+            const lines = Array.from(group.querySelectorAll('.ffn-connection-line'))
+                .filter(line => matrix.W[line.dataset.from] && matrix.W[line.dataset.from][line.dataset.to] !== undefined);
+            const values = lines.map(line => matrix.W[line.dataset.from][line.dataset.to]);
+            const maxAbs = Math.max(1e-6, ...values.map(Math.abs));
+
+            lines.forEach((line, i) => {
+                line.dataset.weight = values[i];
+                line.dataset.scale = Math.abs(values[i]) / maxAbs;
+                line.innerHTML = `<title>w = ${values[i].toFixed(3)}</title>`;
+                this.styleConnection(line, false);
+            });
+        });
+    },
+
+    /**
+     * Stroke a connection by its weight: cyan positive, magenta negative, width and opacity by size
+     * @param {Element} line - Connection line with data-weight and data-scale
+     * @param {boolean} lit - Whether the signal is currently passing through it
+     */
+    styleConnection(line, lit) {
+        if (line.dataset.weight === undefined) {
+            line.setAttribute('stroke', lit ? 'rgba(0, 245, 255, 0.6)' : 'rgba(0, 245, 255, 0.2)');
+            line.style.filter = lit ? 'drop-shadow(0 0 3px rgba(0, 245, 255, 0.8))' : 'none';
+            return;
+        }
+
+        const scale = Number(line.dataset.scale);
+        const color = Number(line.dataset.weight) >= 0 ? '0, 245, 255' : '255, 0, 255';
+        const alpha = lit ? 0.9 : 0.15 + 0.65 * scale;
+        line.setAttribute('stroke', `rgba(${color}, ${alpha.toFixed(2)})`);
+        line.setAttribute('stroke-width', (0.5 + 2.5 * scale).toFixed(2));
+        line.style.filter = lit ? `drop-shadow(0 0 3px rgba(${color}, 0.8))` : 'none';
+    },
+
+    /**
+     * Plot the activation function with the selected token's first hidden units on it
+     * For SwiGLU the plotted curve is the Swish gate, which multiplies the linear branch
+     */
+    renderCurve() {
+        if (!this.curveEl) return;
+
+        const width = 160;
+        const height = 100;
+        const xRange = [-4, 4];
+        const yRange = [-1, 4];
+        const toX = x => ((x - xRange[0]) / (xRange[1] - xRange[0])) * width;
+        const toY = y => height - ((y - yRange[0]) / (yRange[1] - yRange[0])) * height;
+        const clamp = (v, [lo, hi]) => Math.min(hi, Math.max(lo, v));
+
+        const path = Array.from({ length: 81 }, (_, i) => {
+            const x = xRange[0] + (i / 80) * (xRange[1] - xRange[0]);
+            return `${i === 0 ? 'M' : 'L'}${toX(x).toFixed(1)},${toY(clamp(TransformerBlocks.activationCurve(x), yRange)).toFixed(1)}`;
+        }).join(' ');
+
+        const primary = this.getPrimary();
+        const hidden = primary && primary.layers.length > 2 ? primary.layers[1] : null;
+        const dots = hidden
+            ? hidden.pre.slice(0, CONFIG.visualization.ffnNeuronsPerLayer).map((pre, n) => {
+                const x = clamp(pre, xRange);
+                const y = clamp(TransformerBlocks.activationCurve(x), yRange);
+                const flag = hidden.flags[n] ? ` ${hidden.flags[n]}` : '';
+                return `<circle class="ffn-curve-dot${flag}" cx="${toX(x).toFixed(1)}" cy="${toY(y).toFixed(1)}" r="3"><title>unit ${n}: x·W ${pre.toFixed(3)}</title></circle>`;
+            }).join('')
+            : '';
+
+        const formulas = {
+            relu: 'max(0, x)',
+            gelu: 'x · Φ(x)',
+            swiglu: 'Swish(x·W) ⊙ x·V'
+        };
+        const activation = CONFIG.model.activation;
+
+        this.curveEl.innerHTML = `
+            <div class="ffn-curve-title">${TransformerBlocks.activations[activation]} · ${formulas[activation]}</div>
+            <svg class="ffn-curve-svg" viewBox="0 0 ${width} ${height}">
+                <line class="ffn-curve-axis" x1="0" y1="${toY(0)}" x2="${width}" y2="${toY(0)}" />
+                <line class="ffn-curve-axis" x1="${toX(0)}" y1="0" x2="${toX(0)}" y2="${height}" />
+                <path class="ffn-curve-path" d="${path}" />
+                ${dots}
+            </svg>
+        `;
+    },
+
+    /**
+     * Load-balance statistics of the router over the prompt
+     * f = share of the top-k assignments each expert received, P = its mean router probability;
+     * the Switch Transformer auxiliary loss E·Σ f·P is 1 when routing is perfectly even
+     * @param {Object[]} routing - Result of TransformerBlocks.route()
+     * @returns {Object} { load: number[], meanProb: number[], loss }
+     */
+    loadStats(routing) {
+        const experts = routing[0].probs.length;
+        const load = new Array(experts).fill(0);
+        const meanProb = new Array(experts).fill(0);
+        const assignments = routing.reduce((sum, r) => sum + r.chosen.length, 0);
+
+        routing.forEach(r => {
+            r.chosen.forEach(({ expert }) => {
+                load[expert] += 1 / assignments;
+            });
+            r.probs.forEach((p, e) => {
+                meanProb[e] += p / routing.length;
+            });
+        });
+
+        const loss = experts * load.reduce((sum, f, e) => sum + f * meanProb[e], 0);
+        return { load, meanProb, loss };
+    },
+
+    /**
+     * Build one card per expert; experts the selected token was routed to show its activations
+     */
+    renderExperts() {
+        const chosen = new Map(this.data.chosen.map(({ expert, gate }) => [expert, gate]));
+
+        this.container.innerHTML = this.data.networks.map((_, e) => `
+            <div class="ffn-expert${chosen.has(e) ? ' chosen' : ''}" data-expert="${e}" style="--expert-color: ${this.expertColors[e]}">
+                <div class="ffn-expert-title">Expert ${e + 1}${chosen.has(e) ? ` · gate ${chosen.get(e).toFixed(2)}` : ''}</div>
+                <div class="ffn-container ffn-expert-net"></div>
+            </div>
+        `).join('');
+
+        this.container.querySelectorAll('.ffn-expert').forEach(card => {
+            const e = Number(card.dataset.expert);
+            // Unrouted experts are not run for this token, so they stay idle
+            this.createStructure(card.querySelector('.ffn-expert-net'), chosen.has(e) ? this.data.networks[e] : null);
+        });
+    },
+
+    /**
+     * Render the router table: softmax over experts per token (top-k outlined),
+     * tokens coloured by their first expert, and the expert load underneath
+     */
+    renderRouting() {
+        if (!this.routingEl) return;
+
+        const { routing, tokens, token: selected } = this.data;
+        if (!routing) {
+            this.routingEl.innerHTML = '';
+            return;
+        }
+
+        const experts = routing[0].probs.length;
+        const stats = this.loadStats(routing);
+        const color = e => `--expert-color: ${this.expertColors[e]}`;
+
+        const header = `<div class="ffn-routing-row ffn-routing-header">
+            <div class="ffn-routing-token">Router</div>
+            ${Array.from({ length: experts }, (_, e) => `<div class="ffn-routing-cell" style="${color(e)}">E${e + 1}</div>`).join('')}
+        </div>`;
+
+        const rows = routing.map((r, i) => {
+            const chosen = new Set(r.chosen.map(c => c.expert));
+            const label = tokens[i].length > 8 ? tokens[i].slice(0, 8) + '…' : tokens[i];
+            return `<div class="ffn-routing-row${i === selected ? ' selected' : ''}" data-token="${i}">
+                <div class="ffn-routing-token" style="${color(r.chosen[0].expert)}" title="${escapeHTML(tokens[i])} → ${r.chosen.map(c => `E${c.expert + 1} (${c.gate.toFixed(2)})`).join(' + ')}">${escapeHTML(label)}</div>
+                ${r.probs.map((p, e) => `<div class="ffn-routing-cell${chosen.has(e) ? ' chosen' : ''}" style="${color(e)}; --route-prob: ${p.toFixed(3)}">${(p * 100).toFixed(0)}%</div>`).join('')}
+            </div>`;
+        }).join('');
+
+        const footer = [['Load', stats.load], ['Mean p', stats.meanProb]].map(([name, values]) => `<div class="ffn-routing-row ffn-routing-stats">
+            <div class="ffn-routing-token">${name}</div>
+            ${values.map((v, e) => `<div class="ffn-routing-cell" style="${color(e)}; --route-prob: ${v.toFixed(3)}">${(v * 100).toFixed(0)}%</div>`).join('')}
+        </div>`).join('');
+
+        this.routingEl.style.setProperty('--experts', experts);
+        this.routingEl.innerHTML = header + rows + footer;
+    },
+
+    /**
+     * Describe the selected token and how many hidden units the activation switched off
+     */
+    updateInfo() {
+        if (!this.infoEl || !this.data) return;
+
+        const { block, token, tokenText, chosen, routing } = this.data;
+        const hidden = this.getPrimary().layers.slice(1, -1);
+        const units = hidden.reduce((sum, layer) => sum + layer.flags.length, 0);
+        const silenced = hidden.reduce((sum, layer) => sum + layer.flags.filter(Boolean).length, 0);
+        const verb = CONFIG.model.activation === 'relu' ? 'zeroed' : 'gated';
+        const blockPrefix = CONFIG.model.blocks > 1 ? `Block ${block + 1} · ` : '';
+        const shown = Math.min(CONFIG.visualization.ffnNeuronsPerLayer, CONFIG.model.ffnDim);
+        const activation = TransformerBlocks.activations[CONFIG.model.activation];
+
+        const routed = routing
+            ? `routed to ${chosen.map(c => `E${c.expert + 1} (${c.gate.toFixed(2)})`).join(' + ')} · ` +
+                `${silenced} of ${units} hidden units in E${chosen[0].expert + 1} ${verb} by ${activation} · ` +
+                `load-balance loss ${this.loadStats(routing).loss.toFixed(2)} (1.00 = even) · click a router row to inspect that token`
+            : `${silenced} of ${units} hidden units ${verb} by ${activation}`;
+
+        this.infoEl.textContent = `${blockPrefix}"${tokenText.trim() || tokenText}" (position ${token}) · ${routed} · ` +
+            `brightness = |activation|, lines = weight (cyan +, magenta −, width = size) · first ${shown} units per layer`;
+    },
+
+    /**
+     * Build the dense network or the expert cards for the current data
+     */
+    build() {
+        this.container.classList.toggle('moe', Boolean(this.data && this.data.routing));
+        if (this.data && this.data.routing) {
+            this.renderExperts();
+        } else {
+            this.createStructure();
+        }
+        if (this.data) {
+            this.renderRouting();
+        }
+    },
+
+    /**
+     * Elements that carry the selected token's signal (only routed experts in MoE mode)
+     * @param {string} selector - Element selector, e.g. a neuron with a data-layer filter
+     * @returns {NodeList}
+     */
+    signalElements(selector) {
+        const scope = this.container.classList.contains('moe') ? '.ffn-expert.chosen ' : '';
+        return this.container.querySelectorAll(`${scope}${selector}`);
+    },
+
+    /**
+     * Redraw the network for the current token without animating
+     */
+    render() {
+        if (!this.container || !this.shown) return;
+
+        const result = TransformerBlocks.getResult();
+        this.syncControls(result ? result.tokens : []);
+        this.compute();
+        this.build();
+        this.signalElements('.ffn-neuron').forEach(neuron => neuron.classList.add('active'));
+        this.renderCurve();
+        this.updateInfo();
+    },
+
+    /**
+     * Rebuild the network after an architecture change
+     * Before the first run this shows the empty structure in the new shape
+     */
+    rebuild() {
+        if (!this.container) return;
+
+        if (this.shown) {
+            this.render();
+        } else {
+            this.createStructure(this.container, null);
+        }
+    },
+
     /**
      * Animate FFN processing
-     * Shows data flowing through the network
+     * Shows data flowing through the network, then leaves every layer lit with its activations
      * @returns {Promise} Resolves when animation is complete
      */
     async animate() {
         return new Promise((resolve) => {
             this.clear();
-            this.createStructure();
+            this.shown = true;
+
+            const result = TransformerBlocks.getResult();
+            this.syncControls(result ? result.tokens : []);
+            this.compute();
+            this.build();
+            this.renderCurve();
+            this.updateInfo();
 
             const numLayers = CONFIG.visualization.ffnLayers;
-            const neuronsPerLayer = CONFIG.visualization.ffnNeuronsPerLayer;
             const layerDelay = getTiming('ffnProcess') / numLayers;
 
             // Animate each layer sequentially
             const animateLayer = (layerIndex) => {
                 if (layerIndex >= numLayers) {
-                    // All done - keep output layer active briefly
-                    setTimeout(resolve, layerDelay / 2);
+                    // All done - light every layer so the activations can be compared
+                    setTimeout(() => {
+                        this.signalElements('.ffn-neuron').forEach(neuron => neuron.classList.add('active'));
+                        resolve();
+                    }, layerDelay / 2);
                     return;
                 }
 
-                const neurons = document.querySelectorAll(`.ffn-neuron[data-layer="${layerIndex}"]`);
-                const connections = document.querySelectorAll(`.ffn-connections[data-from="${layerIndex}"] .ffn-connection-line`);
+                const neurons = this.signalElements(`.ffn-neuron[data-layer="${layerIndex}"]`);
+                const connections = this.signalElements(`.ffn-connections[data-from="${layerIndex}"] .ffn-connection-line`);
 
                 // Activate neurons with stagger
                 neurons.forEach((neuron, i) => {
@@ -122,10 +651,10 @@ const FFNVisualizer = {
 
                         // Deactivate previous layer's neurons
                         if (layerIndex > 0) {
-                            const prevNeurons = document.querySelectorAll(`.ffn-neuron[data-layer="${layerIndex - 1}"]`);
+                            const prevNeurons = this.signalElements(`.ffn-neuron[data-layer="${layerIndex - 1}"]`);
                             prevNeurons.forEach(n => n.classList.remove('active'));
                         }
-                    }, i * (layerDelay / neuronsPerLayer / 2));
+                    }, i * (layerDelay / neurons.length / 2));
                 });
 
                 // Activate connections
@@ -133,14 +662,10 @@ const FFNVisualizer = {
                     const connectionDelay = (layerDelay * 0.8) / connections.length;
                     connections.forEach((conn, i) => {
                         setTimeout(() => {
-                            conn.setAttribute('stroke', 'rgba(0, 245, 255, 0.6)');
-                            conn.style.filter = 'drop-shadow(0 0 3px rgba(0, 245, 255, 0.8))';
-
-                            // Fade out after highlight
-                            setTimeout(() => {
-                                conn.setAttribute('stroke', 'rgba(0, 245, 255, 0.2)');
-                                conn.style.filter = 'none';
-                            }, connectionDelay * 2);
+                            this.styleConnection(conn, true);
+
+                            // Settle back to the weight colour after the highlight
+                            setTimeout(() => this.styleConnection(conn, false), connectionDelay * 2);
                         }, i * connectionDelay);
                     });
                 }
@@ -0,0 +1,300 @@
+/**
+ * KV Cache Module
+ * Autoregressive decoding over the local model: the prompt is prefilled in one pass,
+ * then every generated token is fed back, attends to the cached keys/values and
+ * appends its own, so each decode step computes a single query row
+ */
+const KVCache = {
+    container: null,
+    memoryEl: null,
+    infoEl: null,
+    cache: null,        // { keys[block][head][position], values[block][head][position], tokens, prefill }
+    rows: [],           // [{ token, position, weights }] attention row of each decoded token (shown block, head mean)
+    words: [],          // Generated tokens fed back, in order
+    shown: false,
+
+    precisions: {
+        4: 'fp32',
+        2: 'fp16 / bf16',
+        1: 'int8'
+    },
+
+    /**
+     * Initialize the cache view and its controls
+     */
+    init() {
+        this.container = document.getElementById('kv-cache');
+        this.memoryEl = document.getElementById('kv-memory');
+        this.infoEl = document.getElementById('kv-info');
+
+        const toggle = document.getElementById('kv-autoregressive');
+        if (toggle) {
+            toggle.checked = CONFIG.kvCache.enabled;
+            toggle.addEventListener('change', () => {
+                CONFIG.kvCache.enabled = toggle.checked;
+            });
+        }
+
+        const precisionSelect = document.getElementById('kv-precision');
+        if (precisionSelect) {
+            precisionSelect.innerHTML = Object.entries(this.precisions)
+                .sort(([a], [b]) => b - a)
+                .map(([bytes, label]) => `<option value="${bytes}">${label} (${bytes} B)</option>`)
+                .join('');
+            precisionSelect.value = CONFIG.kvCache.bytesPerValue;
+            precisionSelect.addEventListener('change', () => {
+                CONFIG.kvCache.bytesPerValue = Number(precisionSelect.value);
+                if (this.cache) {
+                    this.updateMemory();
+                }
+            });
+        }
+    },
+
+    /**
+     * Clear the cache and its view
+     */
+    clear() {
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+        if (this.memoryEl) {
+            this.memoryEl.textContent = '';
+        }
+        if (this.infoEl) {
+            this.infoEl.textContent = '';
+        }
+        this.cache = null;
+        this.rows = [];
+        this.words = [];
+        this.shown = false;
+    },
+
+    /**
+     * Prefill: one forward pass over the full prompt (the token row, not just the window
+     * the layers show) and every block's keys and values taken from it
+     * @returns {boolean} Whether there was a forward pass to start from
+     */
+    prefill() {
+        this.rows = [];
+        if (!AttentionVisualizer.input) {
+            this.cache = null;
+            return false;
+        }
+
+        const { tokens, embeddings } = LocalModel.getPrompt();
+        const result = TransformerBlocks.run(tokens, embeddings, CONFIG.model.blocks, tokens.length);
+        if (result.blocks.length === 0) {
+            this.cache = null;
+            return false;
+        }
+
+        this.cache = {
+            keys: result.blocks.map(block => block.attention.heads.map(head => head.K.map(k => k.slice()))),
+            values: result.blocks.map(block => block.attention.heads.map(head => head.V.map(v => v.slice()))),
+            tokens: result.tokens.slice(),
+            prefill: result.tokens.length
+        };
+        return true;
+    },
+
+    /**
+     * Decode one token: run it through every block, attending to the cached keys/values
+     * and appending its own; the result matches a full forward pass under causal masks
+     * @param {string} word - Token fed back
+     * @returns {Object} Attention row { token, position, weights } of the shown block
+     */
+    decode(word) {
+        const position = this.cache.tokens.length;
+        const emb = LocalModel.embed(word, position);
+        const rope = CONFIG.positional.scheme === 'rope';
+        const scale = Math.sqrt(CONFIG.model.headDim);
+        const mask = AttentionVisualizer.getMask();
+        const settings = CONFIG.visualization.attentionMask;
+        const shownBlock = AttentionVisualizer.getBlock();
+        let x = (rope ? emb.vector : emb.encoded).slice();
+        let row = null;
+
+        for (let b = 0; b < CONFIG.model.blocks; b++) {
+            const weights = TransformerBlocks.getBlockWeights(x.length, b);
+            const h = TransformerBlocks.normalize(x);
+
+            const heads = AttentionVisualizer.getProjections(x.length, b).map((projection, head) => {
+                let [q] = MathUtils.matMul([h], projection.Wq);
+                let [k] = MathUtils.matMul([h], projection.Wk);
+                const [v] = MathUtils.matMul([h], projection.Wv);
+                if (rope) {
+                    q = PositionalEncoding.rotate(q, position);
+                    k = PositionalEncoding.rotate(k, position);
+                }
+
+                const keys = this.cache.keys[b][head];
+                const values = this.cache.values[b][head];
+                keys.push(k);
+                values.push(v);
+
+                const scores = keys.map((key, j) => (mask.allows(position, j, settings)
+                    ? MathUtils.dot(q, key) / scale + PositionalEncoding.attentionBias(position, j, head)
+                    : -Infinity));
+                const attention = MathUtils.softmax(scores);
+                return { attention, output: MathUtils.matMul([attention], values)[0] };
+            });
+
+            if (b === shownBlock) {
+                row = AttentionVisualizer.averageWeights(heads.map(head => [head.attention]))[0];
+            }
+
+            const [attnDelta] = MathUtils.matMul([heads.flatMap(head => head.output)], weights.Wo);
+            x = x.map((value, d) => value + attnDelta[d]);
+
+            const ffnInput = [TransformerBlocks.normalize(x)];
+            const ffn = CONFIG.model.moe.enabled
+                ? TransformerBlocks.mixtureOfExperts(ffnInput, weights)
+                : TransformerBlocks.feedForward(ffnInput, weights.ffn);
+            x = x.map((value, d) => value + ffn.output[0][d]);
+        }
+
+        this.cache.tokens.push(word);
+        const decoded = { token: word, position, weights: row };
+        this.rows.push(decoded);
+        return decoded;
+    },
+
+    /**
+     * Cache size: keys and values for every block, head and position
+     * @param {number} positions - Cached positions
+     * @returns {number} Bytes
+     */
+    bytes(positions) {
+        const { blocks, headDim } = CONFIG.model;
+        return 2 * blocks * CONFIG.visualization.attentionHeads * headDim * positions * CONFIG.kvCache.bytesPerValue;
+    },
+
+    /**
+     * Human-readable byte count
+     * @param {number} n - Bytes
+     * @returns {string}
+     */
+    formatBytes(n) {
+        if (n >= 1024 * 1024) return `${(n / (1024 * 1024)).toFixed(2)} MB`;
+        if (n >= 1024) return `${(n / 1024).toFixed(1)} KB`;
+        return `${n} B`;
+    },
+
+    /**
+     * Start decoding from the latest forward pass
+     */
+    start() {
+        this.clear();
+        if (!CONFIG.kvCache.enabled) return;
+
+        this.shown = true;
+        this.prefill();
+        this.draw();
+    },
+
+    /**
+     * Feed generated tokens back: append them to the token row and decode each
+     * Tokens past maxSteps keep streaming to the response but are not fed back
+     * @param {string[]} texts - Generated tokens
+     */
+    append(texts) {
+        if (!this.shown || !this.cache) return;
+
+        texts.forEach(text => {
+            if (this.words.length >= CONFIG.kvCache.maxSteps) return;
+            this.words.push(text);
+            TokenizerVisualizer.append(text);
+            this.decode(text);
+        });
+        this.draw();
+    },
+
+    /**
+     * Rebuild the cache from the prompt and the tokens fed back so far (e.g. after a mask change)
+     */
+    render() {
+        if (!this.shown || !this.prefill()) return;
+
+        this.words.forEach(word => this.decode(word));
+        this.draw();
+    },
+
+    /**
+     * Draw the cache strip and one attention row per decoded token
+     * Prefilled entries, entries read again by the latest step and the entry it wrote get their own colors
+     */
+    draw() {
+        if (!this.container) return;
+        if (!this.cache) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        const { tokens, prefill } = this.cache;
+        const latest = this.rows.length > 0 ? this.rows[this.rows.length - 1].position : null;
+        const label = token => escapeHTML(token.replace(/\n/g, '↵').trim() || '␣');
+
+        const strip = tokens.map((token, j) => {
+            const origin = j < prefill ? 'prefill' : 'decoded';
+            let state = '';
+            if (latest !== null) {
+                state = j === latest ? ' new' : ' reused';
+            }
+            const source = j < prefill ? 'prefill' : `decode step ${j - prefill + 1}`;
+            return `<div class="kv-cell kv-entry ${origin}${state}" title="${label(token)} · position ${j} · K/V written by ${source}"></div>`;
+        }).join('');
+
+        const rows = this.rows.map(decoded => {
+            const cells = tokens.map((_, j) => {
+                if (j > decoded.position) return '<div class="kv-cell empty"></div>';
+                const weight = decoded.weights[j];
+                const self = j === decoded.position ? ' self' : '';
+                return `<div class="kv-cell${self}" style="background: rgba(0, 245, 255, ${Math.min(1, weight * 2).toFixed(3)})" ` +
+                    `title="${label(decoded.token)} → ${label(tokens[j])}: ${(weight * 100).toFixed(1)}%"></div>`;
+            }).join('');
+            return `<div class="kv-label" title="position ${decoded.position}">${label(decoded.token)}</div>${cells}`;
+        }).join('');
+
+        this.container.style.setProperty('--positions', tokens.length);
+        this.container.innerHTML = `
+            <div class="kv-label">K/V cache</div>${strip}
+            ${rows}
+        `;
+
+        this.updateMemory();
+    },
+
+    /**
+     * Show the cache size for the prompt (prefill) and now, and what one decode step adds
+     */
+    updateMemory() {
+        const { tokens, prefill } = this.cache;
+        const { blocks, headDim } = CONFIG.model;
+        const heads = CONFIG.visualization.attentionHeads;
+        const precision = this.precisions[CONFIG.kvCache.bytesPerValue];
+
+        if (this.memoryEl) {
+            this.memoryEl.innerHTML = `
+                <span class="kv-memory-value">${this.formatBytes(this.bytes(tokens.length))}</span>
+                <span>prefill ${this.formatBytes(this.bytes(prefill))} for ${prefill} positions · +${this.formatBytes(this.bytes(1))} per decode step</span>
+            `;
+        }
+
+        if (!this.infoEl) return;
+
+        // Masks that let earlier tokens see later ones change old keys, so a cache would be stale
+        const exact = AttentionVisualizer.getMask().causal;
+        const steps = this.rows.length;
+        const capped = steps >= CONFIG.kvCache.maxSteps ? ` · only the first ${CONFIG.kvCache.maxSteps} generated tokens are fed back` : '';
+
+        this.infoEl.classList.toggle('simulated', !exact);
+        this.infoEl.textContent = `2 (K, V) × ${blocks} blocks × ${heads} heads × ${headDim} dims × ${tokens.length} positions × ${CONFIG.kvCache.bytesPerValue} B (${precision}) · ` +
+            `prefill computed ${prefill} query rows in one pass; ` +
+            (steps > 0
+                ? `decode step ${steps} computed 1 row and reused ${tokens.length - 1} cached entries`
+                : 'each decode step computes 1 row and reuses the cache') +
+            ` · rows show block ${AttentionVisualizer.getBlock() + 1}, mean over heads${capped}` +
+            (exact ? '' : ' · this mask lets earlier tokens see later ones, so a real model could not reuse their cached keys/values');
+    }
+};
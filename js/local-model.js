@@ -0,0 +1,102 @@
+/**
+ * Local Model Module
+ * Scores continuations of the prompt offline: appends generated words to the prompt's
+ * embeddings, runs the simulated transformer and decodes the last position with the
+ * tied unembedding (the same logits the logit lens and sampling playground use)
+ */
+const LocalModel = {
+    /**
+     * Whether a forward pass of the prompt exists to continue from
+     * @returns {boolean}
+     */
+    isReady() {
+        const result = TransformerBlocks.getResult();
+        return Boolean(AttentionVisualizer.input && result && result.tokens.length > 0 && this.getVocabulary().words.length > 0);
+    },
+
+    /**
+     * Full prompt of the latest forward pass (the layers only show its last tokens)
+     * @returns {Object} { tokens, embeddings }
+     */
+    getPrompt() {
+        const { tokens, embeddings } = AttentionVisualizer.input;
+        return { tokens, embeddings };
+    },
+
+    /**
+     * Words the model can generate
+     * @returns {Object} { words, vectors }
+     */
+    getVocabulary() {
+        return LogitLens.getVocabulary(TransformerBlocks.getResult());
+    },
+
+    /**
+     * Embedding of a generated word at a position, with position information applied
+     * @param {string} word - Vocabulary word
+     * @param {number} position - Absolute position in the sequence
+     * @returns {Object} { token, index, vector, encoded }
+     */
+    embed(word, position) {
+        const found = EmbeddingsVisualizer.lookup(word);
+        const emb = {
+            token: word,
+            index: position,
+            vector: found ? Array.from(found) : EmbeddingsVisualizer.placeholderVector(word)
+        };
+        return PositionalEncoding.apply([emb])[0];
+    },
+
+    /**
+     * Full prompt plus generated words
+     * The whole sequence is scored, so under a causal mask a position's prediction is the
+     * same whether it is scored alone or together with later positions in one pass
+     * @param {string[]} words - Generated words so far
+     * @returns {Object} { tokens, embeddings }
+     */
+    context(words) {
+        const prompt = this.getPrompt();
+        const n = prompt.tokens.length;
+        const embeddings = prompt.embeddings.slice(0, n)
+            .concat(words.map((word, i) => this.embed(word, n + i)));
+
+        return { tokens: prompt.tokens.concat(words), embeddings };
+    },
+
+    /**
+     * Next-token logits at each of the last positions, from one forward pass
+     * @param {string[]} words - Generated words so far
+     * @param {number} count - Positions to decode, ending at the last word
+     * @param {number} blocks - Blocks to run (fewer than the model has is an early-exit draft model)
+     * @returns {number[][]} One logit row per position, oldest first
+     */
+    logitsAt(words, count, blocks = CONFIG.model.blocks) {
+        const { tokens, embeddings } = this.context(words);
+        const result = TransformerBlocks.run(tokens, embeddings, blocks, tokens.length);
+        const stream = result.stages[result.stages.length - 1].vectors;
+        const vocabulary = this.getVocabulary();
+
+        return stream.slice(-count).map(hidden => LogitLens.logits(hidden, vocabulary));
+    },
+
+    /**
+     * Next-token log-probabilities at each of the last positions, from one forward pass
+     * @param {string[]} words - Generated words so far
+     * @param {number} count - Positions to decode, ending at the last word
+     * @param {number} blocks - Blocks to run
+     * @returns {number[][]} One log-probability row per position, oldest first
+     */
+    logProbsAt(words, count, blocks = CONFIG.model.blocks) {
+        return this.logitsAt(words, count, blocks).map(logits => MathUtils.logSoftmax(logits));
+    },
+
+    /**
+     * Next-token log-probabilities after the prompt and the given words
+     * @param {string[]} words - Generated words so far
+     * @param {number} blocks - Blocks to run
+     * @returns {number[]} One log-probability per vocabulary word
+     */
+    logProbs(words, blocks = CONFIG.model.blocks) {
+        return this.logProbsAt(words, 1, blocks)[0];
+    }
+};
@@ -0,0 +1,246 @@
+/**
+ * Logit Lens Module
+ * Decodes the residual stream after every stage into next-token predictions
+ * (final norm, then the tied unembedding matrix) and shows them as a stages × positions grid
+ */
+const LogitLens = {
+    container: null,
+    detailEl: null,
+    infoEl: null,
+    grid: [],           // grid[stage][position] = { stage, position, predictions }
+    selected: null,     // { stage, position } shown in the detail view
+    vocabulary: null,   // Cached { table, words, vectors } used as the unembedding
+    shown: false,
+
+    /**
+     * Initialize the logit lens panel
+     */
+    init() {
+        this.container = document.getElementById('logit-lens');
+        this.detailEl = document.getElementById('logit-lens-detail');
+        this.infoEl = document.getElementById('logit-lens-info');
+
+        if (this.container) {
+            this.container.addEventListener('click', (e) => {
+                const cell = e.target.closest('.lens-cell[data-stage]');
+                if (cell) {
+                    this.select(Number(cell.dataset.stage), Number(cell.dataset.position));
+                }
+            });
+        }
+    },
+
+    /**
+     * Clear the grid and the detail view
+     */
+    clear() {
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+        if (this.detailEl) {
+            this.detailEl.innerHTML = '';
+        }
+        if (this.infoEl) {
+            this.infoEl.textContent = '';
+        }
+        this.grid = [];
+        this.selected = null;
+        this.shown = false;
+    },
+
+    /**
+     * Unembedding rows: the first vocabSize table words (tied to the input embeddings),
+     * or the prompt's own tokens when no table is loaded
+     * @param {Object} result - TransformerBlocks forward pass
+     * @returns {Object} { words, vectors }
+     */
+    getVocabulary(result) {
+        const table = EmbeddingsVisualizer.table;
+
+        if (table) {
+            if (!this.vocabulary || this.vocabulary.table !== table) {
+                const entries = Array.from(table).slice(0, CONFIG.logitLens.vocabSize);
+                this.vocabulary = {
+                    table,
+                    words: entries.map(([word]) => word),
+                    vectors: entries.map(([, vector]) => Array.from(vector))
+                };
+            }
+            return this.vocabulary;
+        }
+
+        const pieces = TokenizerVisualizer.getPieces();
+        const words = [];
+        const vectors = [];
+        EmbeddingsVisualizer.getEmbeddings().slice(result.offset, result.offset + result.tokens.length).forEach(emb => {
+            const word = EmbeddingsVisualizer.normalizeToken(emb.token);
+            const special = pieces[emb.index] && pieces[emb.index].special;
+            if (word && !special && !words.includes(word)) {
+                words.push(word);
+                vectors.push(emb.vector);
+            }
+        });
+        return { words, vectors };
+    },
+
+    /**
+     * Next-token logits of one hidden state: Norm(h) · W_Uᵀ / √d
+     * @param {number[]} hidden - Residual stream vector
+     * @param {Object} vocabulary - { words, vectors }
+     * @returns {number[]} One logit per vocabulary word
+     */
+    logits(hidden, vocabulary) {
+        const normed = TransformerBlocks.normalize(hidden);
+        const scale = Math.sqrt(normed.length);
+        return vocabulary.vectors.map(row => MathUtils.dot(normed, row) / scale);
+    },
+
+    /**
+     * Decode one hidden state into its top-k next-token predictions
+     * @param {number[]} hidden - Residual stream vector
+     * @param {Object} vocabulary - { words, vectors }
+     * @returns {Object[]} Array of { token, probability }, best first
+     */
+    decode(hidden, vocabulary) {
+        if (vocabulary.words.length === 0) return [];
+
+        const probs = MathUtils.softmax(this.logits(hidden, vocabulary));
+
+        return probs
+            .map((probability, i) => ({ token: vocabulary.words[i], probability }))
+            .sort((a, b) => b.probability - a.probability)
+            .slice(0, CONFIG.visualization.topKOutputTokens);
+    },
+
+    /**
+     * Decode every stream stage (embedding, after each attention, after each FFN) at every position
+     * @param {Object} result - TransformerBlocks forward pass
+     * @returns {Object[][]} grid[stage][position]
+     */
+    compute(result) {
+        const vocabulary = this.getVocabulary(result);
+        const stages = result.stages.filter(stage => ['embedding', 'attention', 'ffn'].includes(stage.kind));
+
+        this.grid = stages.map((stage, s) => stage.vectors.map((vector, position) => ({
+            stage: s,
+            position,
+            label: stage.block === null ? stage.label : `Block ${stage.block + 1} ${stage.label}`,
+            predictions: this.decode(vector, vocabulary)
+        })));
+        return this.grid;
+    },
+
+    /**
+     * Describe the lens under the grid
+     */
+    updateInfo() {
+        if (!this.infoEl) return;
+
+        const table = EmbeddingsVisualizer.table;
+        this.infoEl.classList.toggle('simulated', !table);
+        this.infoEl.textContent = table
+            ? `Each cell decodes that position's stream through the final norm and the tied embedding matrix (${this.getVocabulary(TransformerBlocks.getResult()).words.length.toLocaleString()} words) · ✓ marks the actual next token · click a cell for its top ${CONFIG.visualization.topKOutputTokens}`
+            : 'No embedding table loaded · decoding against the prompt\'s own tokens only · click a cell for its top predictions';
+    },
+
+    /**
+     * Render the stages × positions grid
+     */
+    render() {
+        const result = TransformerBlocks.getResult();
+        if (!this.container || !this.shown || !result || result.tokens.length === 0) return;
+
+        this.compute(result);
+        const tokens = result.tokens;
+        const next = tokens.map((_, i) => (tokens[i + 1] !== undefined ? EmbeddingsVisualizer.normalizeToken(tokens[i + 1]) : null));
+
+        const header = `<div class="lens-row lens-header">
+            <div class="lens-label">Position →</div>
+            ${tokens.map(token => `<div class="lens-cell">${escapeHTML(token.length > 6 ? token.slice(0, 6) + '…' : token)}</div>`).join('')}
+        </div>`;
+
+        const rows = this.grid.map((cells, s) => `<div class="lens-row">
+            <div class="lens-label">${escapeHTML(cells[0].label)}</div>
+            ${cells.map(cell => {
+                const top = cell.predictions[0];
+                if (!top) return '<div class="lens-cell"></div>';
+                const match = top.token === next[cell.position] ? ' match' : '';
+                const selected = this.selected && this.selected.stage === s && this.selected.position === cell.position ? ' selected' : '';
+                return `<div class="lens-cell${match}${selected}" data-stage="${s}" data-position="${cell.position}" style="--lens-prob: ${top.probability.toFixed(3)}" title="${escapeHTML(top.token)} ${(top.probability * 100).toFixed(1)}%">${escapeHTML(top.token)}</div>`;
+            }).join('')}
+        </div>`).join('');
+
+        this.container.style.setProperty('--stream-tokens', tokens.length);
+        this.container.innerHTML = header + rows;
+        this.updateInfo();
+
+        if (this.selected && this.grid[this.selected.stage]) {
+            this.renderDetail();
+        } else if (this.detailEl) {
+            this.detailEl.innerHTML = '';
+        }
+    },
+
+    /**
+     * Show the top-k predictions of one cell
+     * @param {number} stage - Stage row
+     * @param {number} position - Token position
+     */
+    select(stage, position) {
+        this.selected = { stage, position };
+        this.container.querySelectorAll('.lens-cell.selected').forEach(el => el.classList.remove('selected'));
+        const cell = this.container.querySelector(`.lens-cell[data-stage="${stage}"][data-position="${position}"]`);
+        if (cell) {
+            cell.classList.add('selected');
+        }
+        this.renderDetail();
+    },
+
+    /**
+     * Render the selected cell's predictions with OutputVisualizer's probability rows
+     */
+    renderDetail() {
+        if (!this.detailEl) return;
+
+        const { stage, position } = this.selected;
+        const cell = this.grid[stage][position];
+        const tokens = TransformerBlocks.getResult().tokens;
+        const next = tokens[position + 1] !== undefined ? EmbeddingsVisualizer.normalizeToken(tokens[position + 1]) : null;
+
+        this.detailEl.innerHTML = `<div class="lens-detail-title">${escapeHTML(cell.label)} · after "${escapeHTML(tokens[position].trim())}" (position ${position})</div>`;
+        cell.predictions.forEach(item => {
+            const row = OutputVisualizer.createRow({ ...item, selected: item.token === next });
+            this.detailEl.appendChild(row);
+            OutputVisualizer.fillRow(row, item);
+        });
+    },
+
+    /**
+     * Decode the latest forward pass and reveal the grid row by row
+     * @returns {Promise} Resolves when animation is complete
+     */
+    async animate() {
+        return new Promise((resolve) => {
+            this.shown = true;
+            this.render();
+
+            const rows = this.container ? Array.from(this.container.children) : [];
+            if (rows.length === 0) {
+                resolve();
+                return;
+            }
+
+            const rowDelay = getTiming('embeddingBuild') / rows.length;
+            rows.forEach((row, index) => {
+                row.classList.add('pending');
+                setTimeout(() => {
+                    row.classList.remove('pending');
+
+                    if (index === rows.length - 1) {
+                        setTimeout(resolve, rowDelay);
+                    }
+                }, index * rowDelay);
+            });
+        });
+    }
+};
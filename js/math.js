@@ -0,0 +1,197 @@
+/**
+ * Math Utilities
+ * Seeded randomness and small vector helpers shared by the visualizers
+ */
+const MathUtils = {
+    /**
+     * Hash a string to an unsigned 32-bit integer (FNV-1a)
+     * @param {string} text - Input string
+     * @returns {number} Hash value
+     */
+    hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    },
+
+    /**
+     * Create a seeded random number generator (mulberry32)
+     * @param {number} seed - Integer seed
+     * @returns {function(): number} Generator returning values in [0, 1)
+     */
+    createRng(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    /**
+     * Draw a standard normal sample (Box-Muller)
+     * @param {function(): number} rng - Random generator
+     * @returns {number}
+     */
+    gaussian(rng) {
+        const u = Math.max(rng(), 1e-12);
+        const v = rng();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    },
+
+    /**
+     * Dot product
+     * @param {number[]} a
+     * @param {number[]} b
+     * @returns {number}
+     */
+    dot(a, b) {
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+        return sum;
+    },
+
+    /**
+     * Euclidean norm
+     * @param {number[]} a
+     * @returns {number}
+     */
+    norm(a) {
+        return Math.sqrt(this.dot(a, a));
+    },
+
+    /**
+     * Cosine similarity (0 when either vector is zero)
+     * @param {number[]} a
+     * @param {number[]} b
+     * @returns {number}
+     */
+    cosineSimilarity(a, b) {
+        const denom = this.norm(a) * this.norm(b);
+        return denom === 0 ? 0 : this.dot(a, b) / denom;
+    },
+
+    /**
+     * Matrix of seeded normal samples
+     * @param {number} rows
+     * @param {number} cols
+     * @param {function(): number} rng - Random generator
+     * @param {number} std - Standard deviation
+     * @returns {number[][]}
+     */
+    randomMatrix(rows, cols, rng, std = 1) {
+        return Array.from({ length: rows }, () =>
+            Array.from({ length: cols }, () => this.gaussian(rng) * std));
+    },
+
+    /**
+     * Matrix product A·B
+     * @param {number[][]} a - n×m matrix
+     * @param {number[][]} b - m×p matrix
+     * @returns {number[][]} n×p matrix
+     */
+    matMul(a, b) {
+        const cols = b[0] ? b[0].length : 0;
+        return a.map(row => {
+            const out = new Array(cols).fill(0);
+            row.forEach((x, k) => {
+                if (x === 0) return;
+                const bRow = b[k];
+                for (let j = 0; j < cols; j++) out[j] += x * bRow[j];
+            });
+            return out;
+        });
+    },
+
+    /**
+     * Transpose a matrix
+     * @param {number[][]} m
+     * @returns {number[][]}
+     */
+    transpose(m) {
+        return m[0] ? m[0].map((_, j) => m.map(row => row[j])) : [];
+    },
+
+    /**
+     * Numerically stable softmax; -Infinity entries get exactly zero weight
+     * @param {number[]} values - Logits
+     * @returns {number[]} Probabilities summing to 1
+     */
+    softmax(values) {
+        const max = Math.max(...values);
+        const exps = values.map(v => (v === -Infinity ? 0 : Math.exp(v - max)));
+        const sum = exps.reduce((a, b) => a + b, 0);
+        return exps.map(e => e / sum);
+    },
+
+    /**
+     * Numerically stable log-softmax: log p = z − max − log Σ e^(z − max)
+     * @param {number[]} values - Logits
+     * @returns {number[]} Log-probabilities
+     */
+    logSoftmax(values) {
+        const max = Math.max(...values);
+        const logSum = Math.log(values.reduce((sum, v) => (v === -Infinity ? sum : sum + Math.exp(v - max)), 0));
+        return values.map(v => v - max - logSum);
+    },
+
+    /**
+     * Top principal components via power iteration with deflation
+     * @param {number[][]} vectors - Data rows (all the same length)
+     * @param {number} k - Number of components
+     * @param {number} iterations - Power iterations per component
+     * @returns {Object} { mean: number[], components: number[][] }
+     */
+    principalComponents(vectors, k, iterations = 50) {
+        const dims = vectors[0].length;
+        const mean = new Array(dims).fill(0);
+        vectors.forEach(v => v.forEach((x, i) => { mean[i] += x / vectors.length; }));
+
+        const centered = vectors.map(v => v.map((x, i) => x - mean[i]));
+        const components = [];
+        const rng = this.createRng(1);
+
+        for (let c = 0; c < Math.min(k, dims); c++) {
+            let component = Array.from({ length: dims }, () => rng() - 0.5);
+
+            for (let it = 0; it < iterations; it++) {
+                // Multiply by the covariance matrix without forming it: Xᵀ(Xv)
+                const next = new Array(dims).fill(0);
+                centered.forEach(row => {
+                    const projection = this.dot(row, component);
+                    row.forEach((x, i) => { next[i] += x * projection; });
+                });
+
+                // Remove directions already found
+                components.forEach(prev => {
+                    const overlap = this.dot(next, prev);
+                    prev.forEach((x, i) => { next[i] -= overlap * x; });
+                });
+
+                const length = this.norm(next);
+                if (length === 0) break;
+                component = next.map(x => x / length);
+            }
+
+            components.push(component);
+        }
+
+        return { mean, components };
+    },
+
+    /**
+     * Project a vector onto principal components
+     * @param {number[]} vector - Input vector
+     * @param {Object} pca - Result of principalComponents()
+     * @returns {number[]} One coordinate per component
+     */
+    project(vector, pca) {
+        const centered = vector.map((x, i) => x - pca.mean[i]);
+        return pca.components.map(component => this.dot(centered, component));
+    }
+};
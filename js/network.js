@@ -7,6 +7,7 @@ const NetworkDiagram = {
     nodesGroup: null,
     connectionsGroup: null,
     particlesGroup: null,
+    labelsEl: null,
     statusText: null,
     progressBar: null,
 
@@ -20,6 +21,9 @@ const NetworkDiagram = {
         { name: 'output', nodes: 3, color: '#00ff88' }      // Output (green)
     ],
 
+    // Limits for setLayers()
+    limits: { minLayers: 3, maxLayers: 8, maxNodes: 16 },
+
     // Node positions cache
     nodePositions: [],
 
@@ -36,6 +40,7 @@ const NetworkDiagram = {
         this.nodesGroup = document.getElementById('network-nodes');
         this.connectionsGroup = document.getElementById('network-connections');
         this.particlesGroup = document.getElementById('network-particles');
+        this.labelsEl = document.querySelector('.network-labels');
         this.statusText = document.getElementById('network-status-text');
         this.progressBar = document.getElementById('network-progress-bar');
 
@@ -114,6 +119,55 @@ const NetworkDiagram = {
                 this.nodesGroup.appendChild(circle);
             });
         });
+
+        this.createLabels();
+    },
+
+    /**
+     * Write one label under each layer column
+     */
+    createLabels() {
+        if (!this.labelsEl) return;
+
+        const last = this.layers.length - 1;
+        this.labelsEl.innerHTML = this.layers.map((layer, i) => {
+            const left = 5 + i * (85 / last);
+            let label;
+            if (layer.name === 'input') label = 'Input<br><small>Tokens</small>';
+            else if (layer.name === 'embedding') label = 'Embedding<br><small>Layer</small>';
+            else if (layer.name === 'output') label = 'Output<br><small>Tokens</small>';
+            else label = `Hidden<br><small>Layer ${layer.name.replace('hidden', '')}</small>`;
+            return `<div class="network-label" style="left: ${+left.toFixed(1)}%;">${label}</div>`;
+        }).join('');
+    },
+
+    /**
+     * Replace the layer sizes and redraw the diagram
+     * The first entry is the input, the second the embedding, the last the output; the rest are hidden
+     * @param {number[]} sizes - Node count per layer
+     * @throws {Error} If the layer or node counts are out of range
+     */
+    setLayers(sizes) {
+        const { minLayers, maxLayers, maxNodes } = this.limits;
+        if (sizes.length < minLayers || sizes.length > maxLayers) {
+            throw new Error(`Use ${minLayers}–${maxLayers} layers`);
+        }
+        if (sizes.some(n => !Number.isInteger(n) || n < 1 || n > maxNodes)) {
+            throw new Error(`Each layer needs 1–${maxNodes} nodes`);
+        }
+
+        const last = sizes.length - 1;
+        this.layers = sizes.map((nodes, i) => {
+            if (i === 0) return { name: 'input', nodes, color: '#00f5ff' };
+            if (i === 1) return { name: 'embedding', nodes, color: '#8855ff' };
+            if (i === last) return { name: 'output', nodes, color: '#00ff88' };
+            return { name: `hidden${i - 1}`, nodes, color: '#ffffff' };
+        });
+
+        if (this.svg) {
+            this.clear();
+            this.createNetwork();
+        }
     },
 
     /**
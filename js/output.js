@@ -1,31 +1,127 @@
 /**
  * Output Visualization Module
- * Visualizes token probability distribution and token selection
+ * Visualizes token probability distribution and token selection, and keeps every
+ * generated token's distribution so it can be replayed from the response
  */
 const OutputVisualizer = {
     container: null,
+    infoEl: null,
+    responseEl: null,
+    timelineEl: null,
+    timelineInfoEl: null,
     currentTokens: [],
+    simulated: false,   // Whether currentTokens came from generateDistribution()
+    history: [],        // [{ text, selected, probs, simulated, probability, entropy }] per generated token
+    inspected: null,    // History index whose bars are shown
+    lowest: null,       // History index of the least confident token under the current metric
+    simulatedCount: 0,  // History entries with a simulated distribution
+    replay: 0,          // Bumped on every animate() so stale timers stop drawing
+    metric: 'probability',
+
+    // Timeline colouring: each maps a history entry to a confidence in [0, 1]
+    metrics: {
+        probability: { label: 'Chosen probability', confidence: entry => entry.probability },
+        entropy: {
+            label: 'Entropy',
+            confidence: entry => (entry.probs.length > 1 ? 1 - entry.entropy / Math.log2(entry.probs.length) : 1)
+        }
+    },
 
     /**
-     * Initialize the output visualizer
+     * Initialize the output visualizer and the token inspector
      */
     init() {
         this.container = document.getElementById('output-probs');
+        this.infoEl = document.getElementById('output-info');
+        this.responseEl = document.getElementById('response-output');
+        this.timelineEl = document.getElementById('output-timeline');
+        this.timelineInfoEl = document.getElementById('output-timeline-info');
+
+        const metricSelect = document.getElementById('output-timeline-metric');
+        if (metricSelect) {
+            metricSelect.innerHTML = Object.entries(this.metrics)
+                .map(([key, metric]) => `<option value="${key}">${metric.label}</option>`)
+                .join('');
+            metricSelect.value = this.metric;
+            metricSelect.addEventListener('change', () => {
+                this.metric = metricSelect.value;
+                this.renderTimeline();
+            });
+        }
+
+        // Clicking a generated token (in the response or the timeline) replays its bars
+        [this.responseEl, this.timelineEl].forEach(el => {
+            if (!el) return;
+            el.addEventListener('click', (e) => {
+                const target = e.target.closest('[data-index]');
+                if (target) {
+                    this.animate(Number(target.dataset.index));
+                }
+            });
+        });
     },
 
     /**
-     * Clear output display
+     * Clear output display and the recorded tokens
      */
     clear() {
+        this.clearBars();
+        this.history = [];
+        this.inspected = null;
+        this.lowest = null;
+        this.simulatedCount = 0;
+        if (this.timelineEl) {
+            this.timelineEl.innerHTML = '';
+        }
+        if (this.timelineInfoEl) {
+            this.timelineInfoEl.textContent = '';
+        }
+    },
+
+    /**
+     * Clear only the probability bars
+     */
+    clearBars() {
+        this.replay++;
         if (this.container) {
             this.container.innerHTML = '';
         }
+        if (this.infoEl) {
+            this.infoEl.textContent = '';
+        }
         this.currentTokens = [];
+        this.simulated = false;
+    },
+
+    /**
+     * Build the distribution from one API logprobs entry
+     * The sampled token is added if it fell outside the returned alternatives
+     * @param {Object} entry - { token, logprob, top_logprobs: [{ token, logprob }] }
+     * @returns {Object[]} Array of token-probability pairs, best first
+     */
+    fromLogprobs(entry) {
+        const alternatives = entry.top_logprobs && entry.top_logprobs.length > 0
+            ? entry.top_logprobs
+            : [{ token: entry.token, logprob: entry.logprob }];
+
+        const probs = alternatives.map(alt => ({
+            token: alt.token,
+            probability: Math.exp(alt.logprob),
+            selected: alt.token === entry.token
+        }));
+
+        if (!probs.some(item => item.selected)) {
+            probs.push({ token: entry.token, probability: Math.exp(entry.logprob), selected: true });
+        }
+
+        probs.sort((a, b) => b.probability - a.probability);
+
+        return probs.slice(0, Math.max(CONFIG.visualization.topKOutputTokens, probs.findIndex(item => item.selected) + 1));
     },
 
     /**
      * Generate mock probability distribution for next token
-     * In reality, this would come from the model's softmax output
+     * Only used when the provider returns no logprobs
      * @param {string} selectedToken - The token that will be selected
      * @returns {Object[]} Array of token-probability pairs
      */
@@ -71,60 +167,227 @@ const OutputVisualizer = {
         // Sort by probability descending
         probs.sort((a, b) => b.probability - a.probability);
 
-        this.currentTokens = probs;
         return probs;
     },
 
     /**
-     * Animate output token probabilities
-     * @param {string} selectedToken - The token being generated
-     * @returns {Promise} Resolves when animation is complete
+     * Keep one streamed chunk: one history entry per API logprobs entry, or one simulated
+     * entry for the whole chunk, and append the chunk to the response as clickable tokens
+     * @param {string} text - Chunk text
+     * @param {Object[]|null} logprobs - The chunk's logprobs.content array, or null
+     * @returns {number} History index of the chunk's first token
      */
-    async animate(selectedToken) {
-        return new Promise((resolve) => {
-            this.clear();
+    record(text, logprobs = null) {
+        const start = this.history.length;
+        const entries = logprobs && logprobs.length > 0
+            ? logprobs.map(entry => ({ text: entry.token, selected: entry.token, probs: this.fromLogprobs(entry), simulated: false }))
+            : [{ text, selected: text.trim(), probs: this.generateDistribution(text.trim()), simulated: true }];
 
-            const probs = this.generateDistribution(selectedToken);
-            const delay = getTiming('outputTokenDelay') * 3;
+        entries.forEach(entry => {
+            const chosen = entry.probs.find(item => item.selected);
+            entry.probability = chosen ? chosen.probability : 0;
+            // Entropy of the alternatives we have, renormalized (the API only returns the top few)
+            const mass = entry.probs.reduce((sum, item) => sum + item.probability, 0);
+            entry.entropy = SamplingPlayground.entropy(entry.probs.map(item => item.probability / mass));
+            this.history.push(entry);
+        });
 
-            probs.forEach((item, index) => {
-                const row = document.createElement('div');
-                row.className = 'output-token-row';
-                if (item.selected) {
-                    row.classList.add('selected');
-                }
+        // Providers may split a chunk differently from its logprobs; then the chunk is one span
+        const spans = entries.map(entry => entry.text).join('') === text
+            ? entries.map((entry, i) => ({ text: entry.text, index: start + i }))
+            : [{ text, index: start }];
+
+        if (this.responseEl) {
+            spans.forEach(span => {
+                const el = document.createElement('span');
+                el.className = 'response-token';
+                el.dataset.index = span.index;
+                el.textContent = span.text;
+                this.responseEl.appendChild(el);
+            });
+        }
+
+        this.appendTimeline(start);
+        return start;
+    },
+
+    /**
+     * Timeline cell markup for one generated token, coloured from red (low confidence) to green
+     * @param {Object} entry - History entry
+     * @param {number} index - History index
+     * @returns {string} HTML string
+     */
+    timelineCell(entry, index) {
+        const hue = Math.round(Math.min(1, Math.max(0, this.metrics[this.metric].confidence(entry))) * 120);
+        return `<div class="output-timeline-cell" data-index="${index}" style="background: hsl(${hue}, 90%, 45%)" ` +
+            `title="${escapeHTML(JSON.stringify(entry.text))} · p ${(entry.probability * 100).toFixed(1)}% · H ${entry.entropy.toFixed(2)} bits"></div>`;
+    },
+
+    /**
+     * Add cells for the tokens recorded from a history index on, keeping the existing ones
+     * @param {number} start - First new history index
+     */
+    appendTimeline(start) {
+        const confidence = this.metrics[this.metric].confidence;
+        for (let i = start; i < this.history.length; i++) {
+            if (this.history[i].simulated) {
+                this.simulatedCount++;
+            }
+            if (this.lowest === null || confidence(this.history[i]) < confidence(this.history[this.lowest])) {
+                this.lowest = i;
+            }
+        }
 
-                const percentage = (item.probability * 100).toFixed(1);
+        if (this.timelineEl) {
+            this.timelineEl.insertAdjacentHTML('beforeend',
+                this.history.slice(start).map((entry, i) => this.timelineCell(entry, start + i)).join(''));
+        }
+        this.updateTimelineInfo();
+    },
+
+    /**
+     * Redraw every cell (e.g. after a metric change)
+     */
+    renderTimeline() {
+        this.lowest = null;
+        this.simulatedCount = 0;
+        if (this.timelineEl) {
+            this.timelineEl.innerHTML = '';
+        }
+        this.appendTimeline(0);
+        this.highlight();
+    },
+
+    /**
+     * Summarize the timeline: the least confident token under the current metric
+     */
+    updateTimelineInfo() {
+        if (!this.timelineInfoEl) return;
+        if (this.history.length === 0) {
+            this.timelineInfoEl.textContent = '';
+            return;
+        }
+
+        const lowest = this.history[this.lowest];
+        const simulated = this.simulatedCount;
 
-                row.innerHTML = `
-                    <div class="output-token-text">"${item.token}"</div>
-                    <div class="output-prob-bar-container">
-                        <div class="output-prob-bar" style="width: 0%"></div>
-                    </div>
-                    <div class="output-prob-value">${percentage}%</div>
-                `;
+        this.timelineInfoEl.classList.toggle('simulated', simulated > 0);
+        this.timelineInfoEl.textContent = `${this.history.length} tokens · least confident "${lowest.text.trim()}" ` +
+            `(p ${(lowest.probability * 100).toFixed(1)}%, H ${lowest.entropy.toFixed(2)} bits over the top alternatives)` +
+            (simulated > 0 ? ` · ${simulated} simulated` : '') + ' · click a token to replay its distribution';
+    },
+
+    /**
+     * Mark the inspected token in the response and the timeline
+     */
+    highlight() {
+        [this.responseEl, this.timelineEl].forEach(el => {
+            if (!el) return;
+            el.querySelectorAll('[data-index]').forEach(item => {
+                item.classList.toggle('selected', Number(item.dataset.index) === this.inspected);
+            });
+        });
+    },
+
+    /**
+     * Say where the bars come from; simulated distributions are flagged
+     */
+    updateInfo() {
+        if (!this.infoEl) return;
+
+        this.infoEl.classList.toggle('simulated', this.simulated);
+        this.infoEl.textContent = this.simulated
+            ? 'Simulated distribution · the provider returned no logprobs, so these alternatives and probabilities are invented'
+            : `Top ${this.currentTokens.length} alternatives from the API's log-probabilities (p = e^logprob)`;
+    },
 
+    /**
+     * Create one probability row (token, bar, percentage)
+     * The bar starts empty; call fillRow() to show the probability
+     * @param {Object} item - { token, probability, selected }
+     * @returns {HTMLElement} Row element
+     */
+    createRow(item) {
+        const row = document.createElement('div');
+        row.className = 'output-token-row';
+        if (item.selected) {
+            row.classList.add('selected');
+        }
+
+        const percentage = (item.probability * 100).toFixed(1);
+
+        row.innerHTML = `
+            <div class="output-token-text">"${escapeHTML(item.token)}"</div>
+            <div class="output-prob-bar-container">
+                <div class="output-prob-bar" style="width: 0%"></div>
+            </div>
+            <div class="output-prob-value">${percentage}%</div>
+        `;
+
+        return row;
+    },
+
+    /**
+     * Reveal a row and fill its bar
+     * @param {HTMLElement} row - Row from createRow()
+     * @param {Object} item - { token, probability }
+     */
+    fillRow(row, item) {
+        row.classList.add('visible');
+        row.querySelector('.output-prob-bar').style.width = `${item.probability * 100}%`;
+    },
+
+    /**
+     * Animate a generated token's probabilities
+     * @param {number} index - History index from record()
+     * @returns {Promise} Resolves when animation is complete
+     */
+    async animate(index = 0) {
+        return new Promise((resolve) => {
+            this.clearBars();
+
+            const entry = this.history[index];
+            if (!entry) {
+                resolve();
+                return;
+            }
+
+            const replay = this.replay;
+            const probs = entry.probs;
+            this.currentTokens = probs;
+            this.simulated = entry.simulated;
+            this.inspected = index;
+            this.highlight();
+            this.updateInfo();
+            const delay = getTiming('outputTokenDelay') * 3;
+
+            probs.forEach((item, i) => {
+                const row = this.createRow(item);
                 this.container.appendChild(row);
 
                 // Animate appearance and bar fill
                 setTimeout(() => {
-                    row.classList.add('visible');
-                    const bar = row.querySelector('.output-prob-bar');
-                    bar.style.width = `${item.probability * 100}%`;
+                    // A newer replay cleared the bars; stop drawing this one
+                    if (replay !== this.replay) {
+                        resolve();
+                        return;
+                    }
+                    this.fillRow(row, item);
 
-                    if (index === probs.length - 1) {
+                    if (i === probs.length - 1) {
                         // Show selected token indicator
                         setTimeout(() => {
-                            if (selectedToken) {
+                            const selected = entry.selected;
+                            if (selected && replay === this.replay) {
                                 const selectedEl = document.createElement('div');
                                 selectedEl.className = 'selected-token';
-                                selectedEl.textContent = selectedToken;
+                                selectedEl.textContent = selected;
                                 this.container.appendChild(selectedEl);
                             }
                             resolve();
                         }, delay);
                     }
-                }, index * delay);
+                }, i * delay);
             });
 
             if (probs.length === 0) {
@@ -0,0 +1,282 @@
+/**
+ * Positional Encoding Module
+ * Adds position information to token embeddings (sinusoidal, learned, RoPE, ALiBi)
+ */
+const PositionalEncoding = {
+    container: null,
+    infoEl: null,
+
+    schemes: {
+        sinusoidal: 'Sinusoidal',
+        learned: 'Learned',
+        rope: 'RoPE',
+        alibi: 'ALiBi'
+    },
+
+    /**
+     * Initialize the positional encoding view
+     */
+    init() {
+        this.container = document.getElementById('positional-display');
+        this.infoEl = document.getElementById('positional-info');
+
+        const select = document.getElementById('positional-scheme');
+        if (select) {
+            select.innerHTML = Object.entries(this.schemes)
+                .map(([key, label]) => `<option value="${key}">${label}</option>`)
+                .join('');
+            select.value = CONFIG.positional.scheme;
+            select.addEventListener('change', () => {
+                CONFIG.positional.scheme = select.value;
+                this.rebuild();
+            });
+        }
+    },
+
+    /**
+     * Reapply the scheme to the current embeddings and recompute attention and everything after it
+     * The control is locked while a run is in progress (see setLocked)
+     */
+    rebuild() {
+        const embeddings = EmbeddingsVisualizer.getEmbeddings();
+        if (App.isProcessing || embeddings.length === 0) return;
+
+        this.animate(embeddings);
+        AttentionVisualizer.recompute();
+    },
+
+    /**
+     * Lock the scheme control during a run, so every query, key and cached entry of one run share a scheme
+     * @param {boolean} locked
+     */
+    setLocked(locked) {
+        const select = document.getElementById('positional-scheme');
+        if (select) {
+            select.disabled = locked;
+            select.title = locked ? 'Change the scheme once generation has finished' : '';
+        }
+    },
+
+    /**
+     * Clear the positional encoding view
+     */
+    clear() {
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+        if (this.infoEl) {
+            this.infoEl.textContent = '';
+        }
+    },
+
+    /**
+     * Sinusoidal encoding from "Attention Is All You Need"
+     * @param {number} position - Token position
+     * @param {number} dims - Vector size
+     * @returns {number[]}
+     */
+    sinusoidal(position, dims) {
+        return Array.from({ length: dims }, (_, i) => {
+            const pair = Math.floor(i / 2);
+            const angle = position / Math.pow(CONFIG.positional.base, (2 * pair) / dims);
+            return i % 2 === 0 ? Math.sin(angle) : Math.cos(angle);
+        });
+    },
+
+    /**
+     * Learned absolute position vector (seeded stand-in for a trained table)
+     * @param {number} position - Token position
+     * @param {number} dims - Vector size
+     * @returns {number[]}
+     */
+    learned(position, dims) {
+        const rng = MathUtils.createRng(CONFIG.positional.seed + position);
+        return Array.from({ length: dims }, () => MathUtils.gaussian(rng) * CONFIG.positional.learnedScale);
+    },
+
+    /**
+     * RoPE rotation angle for each dimension pair at a position
+     * @param {number} position - Token position
+     * @param {number} dims - Vector size
+     * @returns {number[]} One angle per pair
+     */
+    ropeAngles(position, dims) {
+        return Array.from({ length: Math.floor(dims / 2) }, (_, pair) =>
+            position * Math.pow(CONFIG.positional.base, (-2 * pair) / dims));
+    },
+
+    /**
+     * Rotate each (2i, 2i+1) pair of a vector by its RoPE angle
+     * @param {number[]} vector - Input vector (a query or key in attention)
+     * @param {number} position - Token position
+     * @returns {number[]} Rotated vector
+     */
+    rotate(vector, position) {
+        const angles = this.ropeAngles(position, vector.length);
+        const out = vector.slice();
+        angles.forEach((angle, pair) => {
+            const x = vector[2 * pair];
+            const y = vector[2 * pair + 1];
+            out[2 * pair] = x * Math.cos(angle) - y * Math.sin(angle);
+            out[2 * pair + 1] = x * Math.sin(angle) + y * Math.cos(angle);
+        });
+        return out;
+    },
+
+    /**
+     * ALiBi slope for a head (geometric sequence 2^(-8h/n))
+     * @param {number} head - Head index
+     * @param {number} heads - Number of heads
+     * @returns {number}
+     */
+    alibiSlope(head, heads) {
+        return Math.pow(2, (-8 * (head + 1)) / heads);
+    },
+
+    /**
+     * Position-dependent bias added to the attention score of query i → key j
+     * Only ALiBi uses a bias; the other schemes carry position in the vectors
+     * @param {number} i - Query position
+     * @param {number} j - Key position
+     * @param {number} head - Head index
+     * @param {number} heads - Number of heads
+     * @returns {number}
+     */
+    attentionBias(i, j, head = 0, heads = CONFIG.visualization.attentionHeads) {
+        if (CONFIG.positional.scheme !== 'alibi') return 0;
+        return -this.alibiSlope(head, heads) * Math.abs(i - j);
+    },
+
+    /**
+     * Position vector added to the embedding (null for RoPE and ALiBi)
+     * @param {number} position - Token position
+     * @param {number} dims - Vector size
+     * @returns {number[]|null}
+     */
+    positionVector(position, dims) {
+        switch (CONFIG.positional.scheme) {
+            case 'sinusoidal': return this.sinusoidal(position, dims);
+            case 'learned': return this.learned(position, dims);
+            default: return null;
+        }
+    },
+
+    /**
+     * Attach position information to each embedding
+     * Sets emb.positionVector (what is added) and emb.encoded (the result)
+     * @param {Object[]} embeddings - Embedding objects with a vector field
+     * @returns {Object[]} The same embeddings
+     */
+    apply(embeddings) {
+        const scheme = CONFIG.positional.scheme;
+
+        embeddings.forEach(emb => {
+            const dims = emb.vector.length;
+            emb.positionVector = this.positionVector(emb.index, dims);
+
+            if (emb.positionVector) {
+                emb.encoded = emb.vector.map((x, i) => x + emb.positionVector[i]);
+            } else if (scheme === 'rope') {
+                emb.encoded = this.rotate(emb.vector, emb.index);
+            } else {
+                emb.encoded = emb.vector.slice();
+            }
+        });
+
+        return embeddings;
+    },
+
+    /**
+     * Build a small bar group for a vector slice
+     * @param {number[]} values - Values to draw
+     * @param {number} maxAbs - Shared scale
+     * @param {string} className - Extra class for coloring
+     * @returns {string} HTML string
+     */
+    renderBars(values, maxAbs, className) {
+        const bars = values.map(val => {
+            const height = Math.round(Math.abs(val) / maxAbs * 26) + 2;
+            const negative = val < 0 ? ' negative' : '';
+            return `<div class="embedding-bar ${className}${negative}" style="height: ${height}px;" title="${val.toFixed(3)}"></div>`;
+        }).join('');
+        return `<div class="embedding-bars positional-bars">${bars}</div>`;
+    },
+
+    /**
+     * Explain the active scheme under the cards
+     */
+    updateInfo() {
+        if (!this.infoEl) return;
+
+        const explanations = {
+            sinusoidal: 'Fixed sin/cos waves of decreasing frequency are added to each embedding (x + PE).',
+            learned: 'A trained vector per position is added to each embedding (x + P[pos]). Seeded stand-in values.',
+            rope: 'Each dimension pair is rotated by pos·θᵢ (R·x). In attention the rotation is applied to queries and keys.',
+            alibi: 'No position vector: attention scores get a linear penalty −m·|i−j| per head instead.'
+        };
+        this.infoEl.textContent = explanations[CONFIG.positional.scheme];
+    },
+
+    /**
+     * Apply the active scheme and animate the per-position sub-step
+     * @param {Object[]} embeddings - Result of EmbeddingsVisualizer.getEmbeddings()
+     * @returns {Promise} Resolves when animation is complete
+     */
+    async animate(embeddings) {
+        this.apply(embeddings);
+        if (!this.container) return;
+
+        return new Promise((resolve) => {
+            this.clear();
+            this.updateInfo();
+
+            const scheme = CONFIG.positional.scheme;
+            // Position vectors live in raw dimension space, so show raw dims even in PCA mode
+            const displayed = EmbeddingsVisualizer.getDisplayIndices();
+            const indices = CONFIG.visualization.embeddingProjection === 'pca' ? displayed.map((_, i) => i) : displayed;
+            const shown = embeddings.slice(TransformerBlocks.windowStart(embeddings.length));
+
+            const slice = v => indices.map(d => v[d]);
+            const maxAbs = Math.max(1e-6, ...shown.flatMap(emb => [
+                ...slice(emb.vector), ...slice(emb.encoded), ...(emb.positionVector ? slice(emb.positionVector) : [])
+            ].map(Math.abs)));
+
+            shown.forEach((emb, index) => {
+                const card = document.createElement('div');
+                card.className = 'positional-card';
+                card.dataset.index = emb.index;
+
+                let middle;
+                if (scheme === 'alibi') {
+                    const slope = this.alibiSlope(0, CONFIG.visualization.attentionHeads);
+                    middle = `<div class="positional-op">head 1 bias −${slope.toFixed(2)}·|${emb.index}−j|</div>`;
+                } else if (scheme === 'rope') {
+                    const angle = this.ropeAngles(emb.index, emb.vector.length)[0] || 0;
+                    middle = `<div class="positional-op">R(${emb.index}·θ) · θ₀=${(angle % (2 * Math.PI)).toFixed(2)}</div>`;
+                } else {
+                    middle = `${this.renderBars(slice(emb.positionVector), maxAbs, 'position')}<div class="positional-op">+</div>`;
+                }
+
+                card.innerHTML = `
+                    <div class="positional-label">pos ${emb.index}</div>
+                    ${middle}
+                    ${this.renderBars(slice(emb.encoded), maxAbs, 'encoded')}
+                    <div class="embedding-label">${escapeHTML(emb.token.length > 6 ? emb.token.slice(0, 6) + '…' : emb.token)}</div>
+                `;
+                this.container.appendChild(card);
+
+                setTimeout(() => {
+                    card.classList.add('visible');
+
+                    if (index === shown.length - 1) {
+                        setTimeout(resolve, getTiming('embeddingBuild') / 2);
+                    }
+                }, index * (getTiming('embeddingBuild') / shown.length));
+            });
+
+            if (shown.length === 0) {
+                resolve();
+            }
+        });
+    }
+};
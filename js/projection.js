@@ -0,0 +1,464 @@
+/**
+ * Embedding Projection Module
+ * Projects token embeddings into 2D/3D (PCA, t-SNE, UMAP-lite) and plots them on a canvas
+ */
+const ProjectionPlot = {
+    canvas: null,
+    ctx: null,
+    points: [],         // { index, token, coords: number[] }
+    screenPoints: [],   // { index, x, y, r } from the last draw, for hit-testing
+    hoverIndex: null,
+    rotation: { yaw: 0.6, pitch: -0.4 },
+    dragStart: null,
+    progress: 1,
+
+    /**
+     * Initialize the projection plot
+     */
+    init() {
+        this.canvas = document.getElementById('projection-canvas');
+        if (!this.canvas) return;
+
+        this.ctx = this.canvas.getContext('2d');
+        this.resizeCanvas();
+        window.addEventListener('resize', () => {
+            this.resizeCanvas();
+            this.draw();
+        });
+
+        this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
+        this.canvas.addEventListener('mouseleave', () => this.setHover(null));
+        this.canvas.addEventListener('mousedown', (e) => {
+            this.dragStart = { x: e.clientX, y: e.clientY, ...this.rotation };
+        });
+        window.addEventListener('mouseup', () => {
+            this.dragStart = null;
+        });
+
+        // Hovering a bar-chart card highlights its point too
+        const cards = document.getElementById('embeddings-display');
+        if (cards) {
+            cards.addEventListener('mouseover', (e) => {
+                const card = e.target.closest('.embedding');
+                this.setHover(card ? Number(card.dataset.index) : null);
+            });
+            cards.addEventListener('mouseleave', () => this.setHover(null));
+        }
+
+        ['projection-method', 'projection-dims'].forEach(id => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            select.value = id === 'projection-method'
+                ? CONFIG.visualization.projectionMethod
+                : String(CONFIG.visualization.projectionDims);
+            select.addEventListener('change', () => {
+                if (id === 'projection-method') {
+                    CONFIG.visualization.projectionMethod = select.value;
+                } else {
+                    CONFIG.visualization.projectionDims = Number(select.value);
+                }
+                if (this.points.length > 0) {
+                    this.animate(EmbeddingsVisualizer.getEmbeddings());
+                }
+            });
+        });
+    },
+
+    /**
+     * Resize canvas to match container
+     */
+    resizeCanvas() {
+        if (this.canvas) {
+            const container = this.canvas.parentElement;
+            const dpr = window.devicePixelRatio || 1;
+
+            this.canvas.width = container.clientWidth * dpr;
+            this.canvas.height = container.clientHeight * dpr;
+            this.canvas.style.width = container.clientWidth + 'px';
+            this.canvas.style.height = container.clientHeight + 'px';
+
+            this.ctx.scale(dpr, dpr);
+        }
+    },
+
+    /**
+     * Clear the plot
+     */
+    clear() {
+        if (this.ctx && this.canvas) {
+            const container = this.canvas.parentElement;
+            this.ctx.clearRect(0, 0, container.clientWidth, container.clientHeight);
+        }
+        this.setHover(null);
+        this.points = [];
+        this.screenPoints = [];
+    },
+
+    /**
+     * Project embeddings with the configured method and dimensionality
+     * @param {number[][]} vectors - Embedding vectors
+     * @returns {number[][]} Coordinates normalized to [-1, 1] per axis
+     */
+    project(vectors) {
+        const dims = CONFIG.visualization.projectionDims;
+        const method = CONFIG.visualization.projectionMethod;
+
+        if (vectors.length < 2) {
+            return vectors.map(() => new Array(dims).fill(0));
+        }
+
+        let coords;
+        if (method === 'tsne') {
+            coords = this.tsne(vectors, dims);
+        } else if (method === 'umap') {
+            coords = this.umapLite(vectors, dims);
+        } else {
+            const pca = MathUtils.principalComponents(vectors, dims);
+            coords = vectors.map(v => MathUtils.project(v, pca));
+        }
+
+        return this.normalize(coords);
+    },
+
+    /**
+     * Center each axis and scale it into [-1, 1]
+     * @param {number[][]} coords
+     * @returns {number[][]}
+     */
+    normalize(coords) {
+        const dims = coords[0].length;
+        for (let d = 0; d < dims; d++) {
+            const mean = coords.reduce((sum, c) => sum + c[d], 0) / coords.length;
+            const maxAbs = Math.max(1e-9, ...coords.map(c => Math.abs(c[d] - mean)));
+            coords.forEach(c => { c[d] = (c[d] - mean) / maxAbs; });
+        }
+        return coords;
+    },
+
+    /**
+     * Squared Euclidean distance matrix
+     * @param {number[][]} vectors
+     * @returns {number[][]}
+     */
+    squaredDistances(vectors) {
+        return vectors.map(a => vectors.map(b => a.reduce((sum, x, i) => sum + (x - b[i]) ** 2, 0)));
+    },
+
+    /**
+     * Small exact t-SNE (fine for a prompt's worth of points)
+     * @param {number[][]} vectors - Input vectors
+     * @param {number} dims - Output dimensionality
+     * @returns {number[][]} Embedded coordinates
+     */
+    tsne(vectors, dims) {
+        const n = vectors.length;
+        const distances = this.squaredDistances(vectors);
+        const perplexity = Math.max(2, Math.min(5, (n - 1) / 3));
+        const targetEntropy = Math.log(perplexity);
+
+        // Binary-search a bandwidth per point to hit the target perplexity
+        const P = distances.map((row, i) => {
+            let beta = 1;
+            let lo = 0;
+            let hi = Infinity;
+            let probs = [];
+
+            for (let step = 0; step < 50; step++) {
+                probs = row.map((d, j) => (i === j ? 0 : Math.exp(-d * beta)));
+                const sum = probs.reduce((a, b) => a + b, 0) || 1e-12;
+                probs = probs.map(p => p / sum);
+                const entropy = -probs.reduce((h, p) => h + (p > 1e-12 ? p * Math.log(p) : 0), 0);
+
+                if (Math.abs(entropy - targetEntropy) < 1e-4) break;
+                if (entropy > targetEntropy) {
+                    lo = beta;
+                    beta = hi === Infinity ? beta * 2 : (beta + hi) / 2;
+                } else {
+                    hi = beta;
+                    beta = (beta + lo) / 2;
+                }
+            }
+            return probs;
+        });
+
+        // Symmetrize
+        const Psym = P.map((row, i) => row.map((p, j) => Math.max((p + P[j][i]) / (2 * n), 1e-12)));
+
+        const rng = MathUtils.createRng(CONFIG.visualization.projectionSeed);
+        const Y = Array.from({ length: n }, () => Array.from({ length: dims }, () => MathUtils.gaussian(rng) * 1e-2));
+        const velocity = Y.map(y => y.map(() => 0));
+        const iterations = 400;
+
+        for (let it = 0; it < iterations; it++) {
+            const exaggeration = it < 100 ? 4 : 1;
+            const momentum = it < 100 ? 0.5 : 0.8;
+
+            // Student-t affinities in the low-dimensional space
+            const num = Y.map((a, i) => Y.map((b, j) => (i === j ? 0 : 1 / (1 + a.reduce((s, x, d) => s + (x - b[d]) ** 2, 0)))));
+            const Z = num.reduce((s, row) => s + row.reduce((a, b) => a + b, 0), 0) || 1e-12;
+
+            for (let i = 0; i < n; i++) {
+                const grad = new Array(dims).fill(0);
+                for (let j = 0; j < n; j++) {
+                    if (i === j) continue;
+                    const mult = 4 * (exaggeration * Psym[i][j] - num[i][j] / Z) * num[i][j];
+                    for (let d = 0; d < dims; d++) {
+                        grad[d] += mult * (Y[i][d] - Y[j][d]);
+                    }
+                }
+                // Small point counts give large gradients, so keep the step modest
+                for (let d = 0; d < dims; d++) {
+                    velocity[i][d] = momentum * velocity[i][d] - 5 * grad[d];
+                    Y[i][d] += velocity[i][d];
+                }
+            }
+        }
+
+        return Y;
+    },
+
+    /**
+     * UMAP-lite: a force layout on the k-nearest-neighbour graph, started from PCA
+     * Neighbours attract, everything else repels, with a decaying step size
+     * @param {number[][]} vectors - Input vectors
+     * @param {number} dims - Output dimensionality
+     * @returns {number[][]} Embedded coordinates
+     */
+    umapLite(vectors, dims) {
+        const n = vectors.length;
+        const k = Math.min(CONFIG.visualization.projectionNeighbors, n - 1);
+
+        // Cosine distance kNN graph (symmetric)
+        const neighbors = vectors.map((a, i) => vectors
+            .map((b, j) => ({ j, d: 1 - MathUtils.cosineSimilarity(a, b) }))
+            .filter(x => x.j !== i)
+            .sort((x, y) => x.d - y.d)
+            .slice(0, k)
+            .map(x => x.j));
+        const connected = vectors.map((_, i) => new Set(neighbors[i]));
+        neighbors.forEach((list, i) => list.forEach(j => connected[j].add(i)));
+
+        const pca = MathUtils.principalComponents(vectors, dims);
+        const Y = this.normalize(vectors.map(v => MathUtils.project(v, pca)));
+        const iterations = 200;
+
+        for (let it = 0; it < iterations; it++) {
+            const alpha = 0.1 * (1 - it / iterations);
+
+            for (let i = 0; i < n; i++) {
+                const force = new Array(dims).fill(0);
+                for (let j = 0; j < n; j++) {
+                    if (i === j) continue;
+                    const delta = Y[i].map((x, d) => x - Y[j][d]);
+                    const dist2 = delta.reduce((s, x) => s + x * x, 0) + 1e-3;
+
+                    // Pull neighbours in, push strangers away
+                    const strength = connected[i].has(j) ? -2 / (1 + dist2) : 0.05 / dist2;
+                    delta.forEach((x, d) => { force[d] += strength * x; });
+                }
+                force.forEach((f, d) => { Y[i][d] += alpha * Math.max(-1, Math.min(1, f)); });
+            }
+        }
+
+        return Y;
+    },
+
+    /**
+     * Animate points moving from the origin to their projected positions
+     * @param {Object[]} embeddings - Result of EmbeddingsVisualizer.getEmbeddings()
+     * @returns {Promise} Resolves when animation is complete
+     */
+    async animate(embeddings) {
+        if (!this.canvas) return;
+
+        const shown = embeddings.slice(TransformerBlocks.windowStart(embeddings.length));
+        const coords = this.project(shown.map(e => e.vector));
+        this.points = shown.map((emb, i) => ({ index: emb.index, token: emb.token, source: emb.source, coords: coords[i] }));
+        this.resizeCanvas();
+
+        return new Promise((resolve) => {
+            const duration = getTiming('embeddingBuild');
+            const start = performance.now();
+
+            const step = (now) => {
+                const t = Math.min(1, (now - start) / duration);
+                this.progress = 1 - Math.pow(1 - t, 3); // Ease-out
+                this.draw();
+
+                if (t < 1) {
+                    requestAnimationFrame(step);
+                } else {
+                    resolve();
+                }
+            };
+
+            requestAnimationFrame(step);
+        });
+    },
+
+    /**
+     * Map a (possibly 3D) point to canvas coordinates
+     * @param {number[]} coords - Normalized coordinates
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @returns {Object} { x, y, depth }
+     */
+    toScreen(coords, width, height) {
+        const padding = 30;
+        const scale = Math.min(width, height) / 2 - padding;
+        let [x, y, z = 0] = coords.map(c => c * this.progress);
+
+        if (coords.length === 3) {
+            // Rotate around the vertical axis, then tilt
+            const { yaw, pitch } = this.rotation;
+            [x, z] = [x * Math.cos(yaw) + z * Math.sin(yaw), -x * Math.sin(yaw) + z * Math.cos(yaw)];
+            [y, z] = [y * Math.cos(pitch) - z * Math.sin(pitch), y * Math.sin(pitch) + z * Math.cos(pitch)];
+
+            // Mild perspective
+            const perspective = 1 / (1 + z * 0.25);
+            x *= perspective;
+            y *= perspective;
+        }
+
+        return { x: width / 2 + x * scale, y: height / 2 - y * scale, depth: z };
+    },
+
+    /**
+     * Draw axes, points and labels
+     */
+    draw() {
+        if (!this.ctx) return;
+
+        const container = this.canvas.parentElement;
+        const width = container.clientWidth;
+        const height = container.clientHeight;
+        const ctx = this.ctx;
+
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = 'rgba(10, 10, 15, 0.5)';
+        ctx.fillRect(0, 0, width, height);
+
+        // Axes through the origin
+        const axes = CONFIG.visualization.projectionDims === 3
+            ? [[1, 0, 0], [0, 1, 0], [0, 0, 1]]
+            : [[1, 0], [0, 1]];
+        const origin = this.toScreen(axes[0].map(() => 0), width, height);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+        ctx.lineWidth = 1;
+        axes.forEach(axis => {
+            const saved = this.progress;
+            this.progress = 1;
+            const end = this.toScreen(axis, width, height);
+            const start = this.toScreen(axis.map(a => -a), width, height);
+            this.progress = saved;
+            ctx.beginPath();
+            ctx.moveTo(start.x, start.y);
+            ctx.lineTo(end.x, end.y);
+            ctx.stroke();
+        });
+
+        // Far points first so near ones overlap them
+        this.screenPoints = this.points
+            .map((p, i) => ({ ...this.toScreen(p.coords, width, height), index: p.index, point: p, order: i }))
+            .sort((a, b) => b.depth - a.depth);
+
+        ctx.font = '10px JetBrains Mono, monospace';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+
+        this.screenPoints.forEach(sp => {
+            const color = CONFIG.tokenColors[sp.index % CONFIG.tokenColors.length];
+            const hovered = sp.index === this.hoverIndex;
+            sp.r = (hovered ? 7 : 5) * (1 - sp.depth * 0.15);
+
+            ctx.beginPath();
+            ctx.arc(sp.x, sp.y, sp.r, 0, Math.PI * 2);
+            ctx.fillStyle = sp.point.source === 'table' ? this.colorValue(color) : 'rgba(255, 136, 0, 0.6)';
+            ctx.fill();
+            if (hovered) {
+                ctx.strokeStyle = '#ffffff';
+                ctx.lineWidth = 2;
+                ctx.stroke();
+            }
+
+            const label = sp.point.token.trim() || '␣';
+            ctx.fillStyle = hovered ? '#ffffff' : 'rgba(160, 160, 176, 0.9)';
+            ctx.fillText(label.length > 8 ? label.slice(0, 8) + '…' : label, sp.x + sp.r + 3, sp.y);
+        });
+
+        ctx.fillStyle = 'rgba(96, 96, 112, 0.9)';
+        ctx.font = '9px Inter, sans-serif';
+        ctx.textAlign = 'left';
+        const methodLabels = { pca: 'PCA', tsne: 't-SNE', umap: 'UMAP-lite' };
+        const hint = CONFIG.visualization.projectionDims === 3 ? ' · drag to rotate' : '';
+        ctx.fillText(`${methodLabels[CONFIG.visualization.projectionMethod]} · ${CONFIG.visualization.projectionDims}D${hint}`, 8, height - 10);
+    },
+
+    /**
+     * Resolve a token color name to a CSS color
+     * @param {string} name - Color name from CONFIG.tokenColors
+     * @returns {string}
+     */
+    colorValue(name) {
+        const colors = {
+            cyan: '#00f5ff',
+            magenta: '#ff00ff',
+            green: '#00ff88',
+            orange: '#ff8800',
+            purple: '#8855ff'
+        };
+        return colors[name] || '#ffffff';
+    },
+
+    /**
+     * Hit-test the hovered point, or rotate while dragging in 3D
+     * @param {MouseEvent} e
+     */
+    handleMouseMove(e) {
+        if (this.dragStart && CONFIG.visualization.projectionDims === 3) {
+            this.rotation.yaw = this.dragStart.yaw + (e.clientX - this.dragStart.x) * 0.01;
+            this.rotation.pitch = this.dragStart.pitch + (e.clientY - this.dragStart.y) * 0.01;
+            this.draw();
+            return;
+        }
+
+        const rect = this.canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+
+        // Nearest point within its radius (plus some slack); near points win ties
+        let hit = null;
+        let best = Infinity;
+        this.screenPoints.forEach(sp => {
+            const d = Math.hypot(sp.x - x, sp.y - y);
+            if (d <= sp.r + 4 && d <= best) {
+                best = d;
+                hit = sp.index;
+            }
+        });
+
+        this.setHover(hit);
+    },
+
+    /**
+     * Highlight a token in the plot, the embedding cards and the token row
+     * @param {number|null} index - Token index, or null to clear
+     */
+    setHover(index) {
+        if (index === this.hoverIndex) return;
+        this.hoverIndex = index;
+
+        document.querySelectorAll('.embedding.highlight, .token.highlight')
+            .forEach(el => el.classList.remove('highlight'));
+
+        if (index !== null) {
+            document.querySelectorAll(`.embedding[data-index="${index}"], .token[data-index="${index}"]`)
+                .forEach(el => el.classList.add('highlight'));
+        }
+
+        if (this.canvas) {
+            this.canvas.style.cursor = index !== null ? 'pointer' : (CONFIG.visualization.projectionDims === 3 ? 'grab' : 'default');
+        }
+        this.draw();
+    }
+};
@@ -0,0 +1,284 @@
+/**
+ * Sampling Playground Module
+ * Takes the local model's next-token logits for the last position and applies
+ * penalties, temperature, top-k, top-p and min-p step by step, then draws a token
+ * with a seeded RNG
+ */
+const SamplingPlayground = {
+    container: null,
+    infoEl: null,
+    stages: [],         // [{ key, label, probs, kept }] after each transform
+    vocabulary: null,   // { words, vectors } the logits are over
+    sampled: null,      // Vocabulary index of the drawn token
+    draw: 0,            // Resample counter, mixed into the seed
+    shown: false,
+
+    // Editable settings: temperature lives in CONFIG.api (it is also sent to the API)
+    fields: {
+        temperature: { label: 'Temp', min: 0, max: 2, step: 0.1 },
+        topK: { label: 'Top-k', min: 0, max: 500, step: 1 },
+        topP: { label: 'Top-p', min: 0.05, max: 1, step: 0.05 },
+        minP: { label: 'Min-p', min: 0, max: 1, step: 0.01 },
+        repetitionPenalty: { label: 'Repetition', min: 1, max: 2, step: 0.05 },
+        frequencyPenalty: { label: 'Frequency', min: 0, max: 2, step: 0.1 },
+        seed: { label: 'Seed', min: 0, max: 9999, step: 1 }
+    },
+
+    /**
+     * Initialize the playground and its controls
+     */
+    init() {
+        this.container = document.getElementById('sampling-stages');
+        this.infoEl = document.getElementById('sampling-info');
+
+        const controls = document.getElementById('sampling-controls');
+        if (controls) {
+            controls.innerHTML = Object.entries(this.fields).map(([key, field]) => `
+                <label class="layer-option">${field.label}
+                    <input type="number" class="layer-input narrow" data-key="${key}" min="${field.min}" max="${field.max}" step="${field.step}" value="${this.getSetting(key)}">
+                </label>
+            `).join('') + '<button type="button" class="layer-button" id="sampling-resample">Resample</button>';
+
+            controls.addEventListener('change', (e) => {
+                const key = e.target.dataset.key;
+                if (!key) return;
+                const { min, max } = this.fields[key];
+                const value = Number(e.target.value);
+                this.setSetting(key, Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : this.getSetting(key));
+                e.target.value = this.getSetting(key);
+                this.render();
+            });
+
+            document.getElementById('sampling-resample').addEventListener('click', () => {
+                this.draw++;
+                this.render();
+            });
+        }
+    },
+
+    /**
+     * Clear the playground
+     */
+    clear() {
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+        if (this.infoEl) {
+            this.infoEl.textContent = '';
+        }
+        this.stages = [];
+        this.sampled = null;
+        this.draw = 0;
+        this.shown = false;
+    },
+
+    /**
+     * @param {string} key - Field key
+     * @returns {number}
+     */
+    getSetting(key) {
+        return key === 'temperature' ? CONFIG.api.temperature : CONFIG.sampling[key];
+    },
+
+    /**
+     * @param {string} key - Field key
+     * @param {number} value
+     */
+    setSetting(key, value) {
+        if (key === 'temperature') {
+            CONFIG.api.temperature = value;
+        } else {
+            CONFIG.sampling[key] = key === 'topK' || key === 'seed' ? Math.round(value) : value;
+        }
+    },
+
+    /**
+     * Keep only the given vocabulary indices, masking the rest with -Infinity
+     * @param {number[]} logits
+     * @param {Set<number>} keep
+     * @returns {number[]}
+     */
+    mask(logits, keep) {
+        return logits.map((z, i) => (keep.has(i) ? z : -Infinity));
+    },
+
+    /**
+     * Indices sorted by value, highest first
+     * @param {number[]} values
+     * @returns {number[]}
+     */
+    ranked(values) {
+        return values.map((_, i) => i).sort((a, b) => values[b] - values[a]);
+    },
+
+    /**
+     * Run every transform in order and record the distribution after each
+     * @param {number[]} logits - Raw next-token logits
+     * @param {Map<number, number>} counts - Occurrences of each vocabulary index in the prompt
+     * @returns {Object[]} Stages: [{ key, label, probs, kept }]
+     */
+    applyPipeline(logits, counts) {
+        const { topK, topP, minP, repetitionPenalty, frequencyPenalty } = CONFIG.sampling;
+        const temperature = CONFIG.api.temperature;
+        const stages = [];
+        const record = (key, label, values) => {
+            stages.push({ key, label, probs: MathUtils.softmax(values), kept: values.filter(z => z > -Infinity).length });
+            return values;
+        };
+
+        let values = record('raw', 'Logits', logits);
+
+        // Repetition penalty (CTRL-style) and frequency penalty on tokens already in the prompt
+        values = record('penalty', `Penalties ×${repetitionPenalty} −${frequencyPenalty}·n`, values.map((z, i) => {
+            const count = counts.get(i) || 0;
+            if (count === 0) return z;
+            return (z > 0 ? z / repetitionPenalty : z * repetitionPenalty) - frequencyPenalty * count;
+        }));
+
+        // Temperature 0 is greedy decoding: only the argmax survives
+        values = record('temperature', `Temperature ${temperature}`, temperature > 0
+            ? values.map(z => z / temperature)
+            : this.mask(values, new Set(this.ranked(values).slice(0, 1))));
+
+        if (topK > 0) {
+            values = this.mask(values, new Set(this.ranked(values).slice(0, topK)));
+        }
+        values = record('topK', topK > 0 ? `Top-k ${topK}` : 'Top-k off', values);
+
+        // Nucleus: keep the most likely tokens until their cumulative probability reaches p
+        const probs = MathUtils.softmax(values);
+        const nucleus = new Set();
+        let cumulative = 0;
+        for (const i of this.ranked(probs)) {
+            if (cumulative >= topP || probs[i] === 0) break;
+            nucleus.add(i);
+            cumulative += probs[i];
+        }
+        values = record('topP', `Top-p ${topP}`, this.mask(values, nucleus));
+
+        const nucleusProbs = MathUtils.softmax(values);
+        const floor = minP * Math.max(...nucleusProbs);
+        const aboveFloor = new Set(nucleusProbs.map((p, i) => (p > 0 && p >= floor ? i : -1)).filter(i => i >= 0));
+        record('minP', `Min-p ${minP}`, this.mask(values, aboveFloor));
+
+        return stages;
+    },
+
+    /**
+     * Draw a token from a distribution with the seeded RNG
+     * @param {number[]} probs
+     * @returns {number} Vocabulary index
+     */
+    sample(probs) {
+        const rng = MathUtils.createRng(MathUtils.hashString(`sample:${CONFIG.sampling.seed}:${this.draw}`));
+        let r = rng();
+        for (let i = 0; i < probs.length; i++) {
+            r -= probs[i];
+            if (r < 0 && probs[i] > 0) return i;
+        }
+        return this.ranked(probs)[0];
+    },
+
+    /**
+     * Shannon entropy in bits
+     * @param {number[]} probs
+     * @returns {number}
+     */
+    entropy(probs) {
+        return -probs.reduce((sum, p) => (p > 0 ? sum + p * Math.log2(p) : sum), 0);
+    },
+
+    /**
+     * Logits after the full prompt (the layers only show its last tokens)
+     * @returns {number[]|null}
+     */
+    getLogits() {
+        if (!LocalModel.isReady()) return null;
+
+        this.vocabulary = LocalModel.getVocabulary();
+        return LocalModel.logitsAt([], 1)[0];
+    },
+
+    /**
+     * Count prompt tokens per vocabulary index for the penalties
+     * @returns {Map<number, number>}
+     */
+    getCounts() {
+        const index = new Map(this.vocabulary.words.map((word, i) => [word, i]));
+        const counts = new Map();
+        LocalModel.getPrompt().tokens.forEach(token => {
+            const i = index.get(EmbeddingsVisualizer.normalizeToken(token));
+            if (i !== undefined) {
+                counts.set(i, (counts.get(i) || 0) + 1);
+            }
+        });
+        return counts;
+    },
+
+    /**
+     * Recompute every stage and draw, then render one column of bars per stage
+     * Bars follow the raw ranking; tokens removed by a step are greyed out from then on
+     */
+    render() {
+        if (!this.container || !this.shown) return;
+
+        const logits = this.getLogits();
+        if (!logits) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        this.stages = this.applyPipeline(logits, this.getCounts());
+        const final = this.stages[this.stages.length - 1];
+        this.sampled = this.sample(final.probs);
+
+        const candidates = this.ranked(this.stages[0].probs).slice(0, CONFIG.sampling.candidates);
+        if (!candidates.includes(this.sampled)) {
+            candidates.push(this.sampled);
+        }
+
+        this.container.innerHTML = '';
+        this.stages.forEach(stage => {
+            const column = document.createElement('div');
+            column.className = 'sampling-stage';
+            column.innerHTML = `
+                <div class="sampling-stage-title">${escapeHTML(stage.label)}</div>
+                <div class="sampling-stage-detail">${stage.kept.toLocaleString()} kept · H ${this.entropy(stage.probs).toFixed(2)} bits</div>
+            `;
+
+            candidates.forEach(i => {
+                const item = { token: this.vocabulary.words[i], probability: stage.probs[i], selected: stage === final && i === this.sampled };
+                const row = OutputVisualizer.createRow(item);
+                row.classList.toggle('truncated', stage.probs[i] === 0);
+                column.appendChild(row);
+                OutputVisualizer.fillRow(row, item);
+            });
+
+            this.container.appendChild(column);
+        });
+
+        this.updateInfo();
+    },
+
+    /**
+     * Describe the draw under the columns
+     */
+    updateInfo() {
+        if (!this.infoEl) return;
+
+        const final = this.stages[this.stages.length - 1];
+        const source = EmbeddingsVisualizer.table ? '' : ' · no embedding table, so only the prompt\'s words are candidates';
+        this.infoEl.classList.toggle('simulated', !EmbeddingsVisualizer.table);
+        this.infoEl.textContent = `Sampled "${this.vocabulary.words[this.sampled]}" (p ${(final.probs[this.sampled] * 100).toFixed(1)}%) · ` +
+            `draw ${this.draw + 1} with seed ${CONFIG.sampling.seed} · logits of the last position from the local model · ` +
+            `temperature is also sent to the API${source}`;
+    },
+
+    /**
+     * Show the playground for the latest forward pass
+     */
+    show() {
+        this.shown = true;
+        this.render();
+    }
+};
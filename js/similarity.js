@@ -0,0 +1,487 @@
+/**
+ * Embedding Similarity Module
+ * Cosine-similarity heatmap between prompt tokens and a nearest-neighbour explorer
+ * with vector arithmetic queries (e.g. "king - man + woman")
+ */
+const SimilarityExplorer = {
+    canvas: null,
+    ctx: null,
+    queryInput: null,
+    resultsEl: null,
+    infoEl: null,
+    embeddings: [],
+    matrix: [],
+    layout: null,       // { padding, cellWidth, cellHeight } from the last draw
+    hoverCell: null,
+    selectedIndex: null,
+    norms: null,        // Cached table vector norms, keyed by word
+
+    /**
+     * Initialize the heatmap canvas and the explorer panel
+     */
+    init() {
+        this.canvas = document.getElementById('similarity-canvas');
+        this.queryInput = document.getElementById('similarity-query');
+        this.resultsEl = document.getElementById('similarity-results');
+        this.infoEl = document.getElementById('similarity-info');
+
+        if (this.canvas) {
+            this.ctx = this.canvas.getContext('2d');
+            this.resizeCanvas();
+            window.addEventListener('resize', () => {
+                this.resizeCanvas();
+                this.draw();
+            });
+
+            this.canvas.addEventListener('mousemove', (e) => this.setHoverCell(this.cellAt(e)));
+            this.canvas.addEventListener('mouseleave', () => this.setHoverCell(null));
+            this.canvas.addEventListener('click', (e) => {
+                const cell = this.cellAt(e);
+                if (cell) {
+                    this.select(cell.i);
+                }
+            });
+        }
+
+        if (this.queryInput) {
+            this.queryInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.selectedIndex = null;
+                    this.draw();
+                    this.runQuery(this.queryInput.value);
+                }
+            });
+        }
+    },
+
+    /**
+     * Resize canvas to match container
+     */
+    resizeCanvas() {
+        if (this.canvas) {
+            const container = this.canvas.parentElement;
+            const dpr = window.devicePixelRatio || 1;
+
+            this.canvas.width = container.clientWidth * dpr;
+            this.canvas.height = container.clientHeight * dpr;
+            this.canvas.style.width = container.clientWidth + 'px';
+            this.canvas.style.height = container.clientHeight + 'px';
+
+            this.ctx.scale(dpr, dpr);
+        }
+    },
+
+    /**
+     * Clear the heatmap and the explorer results
+     */
+    clear() {
+        if (this.ctx && this.canvas) {
+            const container = this.canvas.parentElement;
+            this.ctx.clearRect(0, 0, container.clientWidth, container.clientHeight);
+        }
+        if (this.resultsEl) {
+            this.resultsEl.innerHTML = '';
+        }
+        if (this.infoEl) {
+            this.infoEl.textContent = '';
+        }
+        this.embeddings = [];
+        this.matrix = [];
+        this.layout = null;
+        this.hoverCell = null;
+        this.selectedIndex = null;
+    },
+
+    /**
+     * Cosine similarity between every pair of embeddings
+     * @param {Object[]} embeddings - Embedding objects with a vector field
+     * @returns {number[][]} Symmetric similarity matrix
+     */
+    computeMatrix(embeddings) {
+        return embeddings.map(a => embeddings.map(b => MathUtils.cosineSimilarity(a.vector, b.vector)));
+    },
+
+    /**
+     * Cell color: cyan for similar, magenta for opposite directions
+     * @param {number} value - Cosine similarity in [-1, 1]
+     * @returns {string}
+     */
+    cellColor(value) {
+        const alpha = Math.min(1, Math.abs(value));
+        return value >= 0 ? `rgba(0, 245, 255, ${alpha})` : `rgba(255, 0, 255, ${alpha})`;
+    },
+
+    /**
+     * Animate the similarity heatmap cell by cell
+     * @param {Object[]} embeddings - Result of EmbeddingsVisualizer.getEmbeddings()
+     * @returns {Promise} Resolves when animation is complete
+     */
+    async animate(embeddings) {
+        return new Promise((resolve) => {
+            this.clear();
+            this.resizeCanvas();
+            this.embeddings = embeddings.slice(TransformerBlocks.windowStart(embeddings.length));
+            this.matrix = this.computeMatrix(this.embeddings);
+            this.updateInfo();
+
+            const n = this.embeddings.length;
+            if (!this.ctx || n === 0) {
+                resolve();
+                return;
+            }
+
+            this.computeLayout();
+            const { padding, cellWidth, cellHeight } = this.layout;
+
+            let currentCell = 0;
+            const totalCells = n * n;
+            const cellDelay = getTiming('embeddingBuild') / totalCells;
+
+            const drawCell = () => {
+                if (currentCell >= totalCells) {
+                    this.draw();
+                    setTimeout(resolve, 200);
+                    return;
+                }
+
+                const i = Math.floor(currentCell / n);
+                const j = currentCell % n;
+                const x = padding + j * cellWidth;
+                const y = padding + i * cellHeight;
+
+                this.ctx.fillStyle = this.cellColor(this.matrix[i][j]);
+                this.ctx.fillRect(x + 1, y + 1, cellWidth - 2, cellHeight - 2);
+                this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+                this.ctx.strokeRect(x, y, cellWidth, cellHeight);
+
+                currentCell++;
+                setTimeout(drawCell, cellDelay);
+            };
+
+            this.drawBackground();
+            drawCell();
+        });
+    },
+
+    /**
+     * Square grid sized to the canvas
+     */
+    computeLayout() {
+        const container = this.canvas.parentElement;
+        const n = this.embeddings.length;
+        const padding = 40;
+        const size = Math.min(container.clientWidth, container.clientHeight) - padding * 2;
+
+        this.layout = {
+            padding,
+            cellWidth: size / n,
+            cellHeight: size / n
+        };
+    },
+
+    /**
+     * Fill the canvas background
+     */
+    drawBackground() {
+        const container = this.canvas.parentElement;
+        this.ctx.clearRect(0, 0, container.clientWidth, container.clientHeight);
+        this.ctx.fillStyle = 'rgba(10, 10, 15, 0.5)';
+        this.ctx.fillRect(0, 0, container.clientWidth, container.clientHeight);
+    },
+
+    /**
+     * Redraw the full heatmap with hover and selection outlines
+     */
+    draw() {
+        if (!this.ctx || this.embeddings.length === 0) return;
+
+        this.computeLayout();
+        this.drawBackground();
+
+        const { padding, cellWidth, cellHeight } = this.layout;
+        const n = this.embeddings.length;
+
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                const x = padding + j * cellWidth;
+                const y = padding + i * cellHeight;
+                this.ctx.fillStyle = this.cellColor(this.matrix[i][j]);
+                this.ctx.fillRect(x + 1, y + 1, cellWidth - 2, cellHeight - 2);
+                this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+                this.ctx.strokeRect(x, y, cellWidth, cellHeight);
+            }
+        }
+
+        if (this.selectedIndex !== null) {
+            this.ctx.strokeStyle = 'rgba(0, 255, 136, 0.9)';
+            this.ctx.lineWidth = 2;
+            this.ctx.strokeRect(padding, padding + this.selectedIndex * cellHeight, n * cellWidth, cellHeight);
+            this.ctx.lineWidth = 1;
+        }
+
+        if (this.hoverCell) {
+            this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+            this.ctx.strokeRect(padding + this.hoverCell.j * cellWidth, padding + this.hoverCell.i * cellHeight, cellWidth, cellHeight);
+        }
+
+        this.drawLabels();
+    },
+
+    /**
+     * Draw token labels around the heatmap
+     */
+    drawLabels() {
+        const { padding, cellWidth, cellHeight } = this.layout;
+
+        this.ctx.font = '10px JetBrains Mono, monospace';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+
+        this.embeddings.forEach((emb, i) => {
+            const label = emb.token.length > 4 ? emb.token.slice(0, 4) : emb.token;
+
+            // Top labels (columns)
+            this.ctx.fillStyle = 'rgba(0, 245, 255, 0.7)';
+            this.ctx.save();
+            this.ctx.translate(padding + i * cellWidth + cellWidth / 2, padding - 14);
+            this.ctx.rotate(-Math.PI / 4);
+            this.ctx.fillText(label, 0, 0);
+            this.ctx.restore();
+
+            // Left labels (rows)
+            this.ctx.fillStyle = i === this.selectedIndex ? 'rgba(0, 255, 136, 0.9)' : 'rgba(255, 0, 255, 0.7)';
+            this.ctx.fillText(label, padding - 20, padding + i * cellHeight + cellHeight / 2);
+        });
+    },
+
+    /**
+     * Find the heatmap cell under the mouse
+     * @param {MouseEvent} e
+     * @returns {Object|null} { i, j } or null outside the grid
+     */
+    cellAt(e) {
+        if (!this.layout) return null;
+
+        const rect = this.canvas.getBoundingClientRect();
+        const { padding, cellWidth, cellHeight } = this.layout;
+        const j = Math.floor((e.clientX - rect.left - padding) / cellWidth);
+        const i = Math.floor((e.clientY - rect.top - padding) / cellHeight);
+        const n = this.embeddings.length;
+
+        return i >= 0 && i < n && j >= 0 && j < n ? { i, j } : null;
+    },
+
+    /**
+     * Highlight the hovered pair in the token row and embedding cards
+     * @param {Object|null} cell - { i, j } or null to clear
+     */
+    setHoverCell(cell) {
+        if (cell === this.hoverCell || (cell && this.hoverCell && cell.i === this.hoverCell.i && cell.j === this.hoverCell.j)) return;
+        this.hoverCell = cell;
+
+        document.querySelectorAll('.embedding.highlight, .token.highlight')
+            .forEach(el => el.classList.remove('highlight'));
+
+        if (cell) {
+            // Cards carry prompt positions; the matrix covers the shown window
+            [cell.i, cell.j].map(k => this.embeddings[k].index).forEach(index => {
+                document.querySelectorAll(`.embedding[data-index="${index}"], .token[data-index="${index}"]`)
+                    .forEach(el => el.classList.add('highlight'));
+            });
+        }
+
+        this.canvas.style.cursor = cell ? 'pointer' : 'default';
+        this.updateInfo();
+        this.draw();
+    },
+
+    /**
+     * Describe the heatmap, or the hovered pair
+     */
+    updateInfo() {
+        if (!this.infoEl) return;
+
+        if (this.hoverCell) {
+            const a = this.embeddings[this.hoverCell.i];
+            const b = this.embeddings[this.hoverCell.j];
+            this.infoEl.textContent = `cos("${a.token.trim()}", "${b.token.trim()}") = ${this.matrix[this.hoverCell.i][this.hoverCell.j].toFixed(3)}`;
+        } else {
+            this.infoEl.textContent = 'Cosine similarity of token embeddings · click a row to list its nearest neighbours';
+        }
+    },
+
+    /**
+     * Select a prompt token and list its nearest neighbours
+     * @param {number} index - Token index
+     */
+    select(index) {
+        const emb = this.embeddings[index];
+        if (!emb) return;
+
+        this.selectedIndex = index;
+        this.draw();
+
+        if (this.queryInput) {
+            this.queryInput.value = EmbeddingsVisualizer.normalizeToken(emb.token) || emb.token;
+        }
+        this.renderResults(this.nearest(emb.vector, [EmbeddingsVisualizer.normalizeToken(emb.token)]), `Nearest to "${emb.token.trim()}"`);
+    },
+
+    /**
+     * Parse a vector arithmetic query into signed terms
+     * + and - are operators at the start of the query or after whitespace ("king - man", "king -man"),
+     * so hyphenated words like "state-of-the-art" stay one word
+     * @param {string} text - e.g. "king - man + woman"
+     * @returns {Object[]} Array of { sign, word }
+     */
+    parseQuery(text) {
+        const terms = [];
+        let sign = 1;
+
+        text.split(/(?:^|\s+)([+-])/).forEach(part => {
+            if (part === '+' || part === '-') {
+                sign = part === '-' ? -sign : sign;
+            } else if (part.trim()) {
+                terms.push({ sign, word: EmbeddingsVisualizer.normalizeToken(part.trim()) });
+                sign = 1;
+            }
+        });
+
+        return terms;
+    },
+
+    /**
+     * Vector for a query word: the table entry, or a prompt token's embedding
+     * @param {string} word - Normalized word
+     * @returns {number[]|null}
+     */
+    wordVector(word) {
+        const found = EmbeddingsVisualizer.lookup(word);
+        if (found) return Array.from(found);
+
+        const emb = this.embeddings.find(e => EmbeddingsVisualizer.normalizeToken(e.token) === word);
+        return emb ? emb.vector : null;
+    },
+
+    /**
+     * Evaluate a query and list the nearest neighbours of the result
+     * @param {string} text - Query text
+     */
+    runQuery(text) {
+        const terms = this.parseQuery(text);
+        if (terms.length === 0) {
+            this.renderResults([], 'Enter a word or an expression like king - man + woman');
+            return;
+        }
+
+        const missing = terms.filter(t => !this.wordVector(t.word)).map(t => t.word);
+        if (missing.length > 0) {
+            this.renderResults([], `Unknown word${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+            return;
+        }
+
+        const vector = new Array(EmbeddingsVisualizer.getDimensionCount()).fill(0);
+        terms.forEach(({ sign, word }) => {
+            this.wordVector(word).forEach((x, i) => { vector[i] += sign * x; });
+        });
+
+        const label = terms.map((t, i) => `${t.sign < 0 ? '− ' : i > 0 ? '+ ' : ''}${t.word}`).join(' ');
+        this.renderResults(this.nearest(vector, terms.map(t => t.word)), `Nearest to ${label}`);
+    },
+
+    /**
+     * Candidate words: the whole table when loaded, otherwise the prompt's own tokens
+     * @returns {Map<string, number[]>} word → vector
+     */
+    getSearchSpace() {
+        if (EmbeddingsVisualizer.table) {
+            return EmbeddingsVisualizer.table;
+        }
+
+        const pieces = TokenizerVisualizer.getPieces();
+        const words = new Map();
+        this.embeddings.forEach(emb => {
+            const word = EmbeddingsVisualizer.normalizeToken(emb.token);
+            const special = pieces[emb.index] && pieces[emb.index].special;
+            if (word && !special && !words.has(word)) {
+                words.set(word, emb.vector);
+            }
+        });
+        return words;
+    },
+
+    /**
+     * Cached vector norms of the embedding table
+     * @returns {Map<string, number>}
+     */
+    getTableNorms() {
+        if (!this.norms || this.norms.table !== EmbeddingsVisualizer.table) {
+            const values = new Map();
+            EmbeddingsVisualizer.table.forEach((vector, word) => values.set(word, MathUtils.norm(vector)));
+            this.norms = { table: EmbeddingsVisualizer.table, values };
+        }
+        return this.norms.values;
+    },
+
+    /**
+     * Top-k cosine neighbours of a vector
+     * @param {number[]} vector - Query vector
+     * @param {string[]} exclude - Words to leave out (the query's own words)
+     * @returns {Object[]} Array of { word, similarity }, best first
+     */
+    nearest(vector, exclude = []) {
+        const k = CONFIG.visualization.similarityNeighbors;
+        const queryNorm = MathUtils.norm(vector);
+        if (queryNorm === 0) return [];
+
+        const norms = EmbeddingsVisualizer.table ? this.getTableNorms() : null;
+        const skip = new Set(exclude);
+        const best = [];
+
+        this.getSearchSpace().forEach((candidate, word) => {
+            if (skip.has(word)) return;
+
+            const candidateNorm = norms ? norms.get(word) : MathUtils.norm(candidate);
+            if (candidateNorm === 0) return;
+
+            const similarity = MathUtils.dot(vector, candidate) / (queryNorm * candidateNorm);
+            if (best.length < k || similarity > best[best.length - 1].similarity) {
+                best.push({ word, similarity });
+                best.sort((a, b) => b.similarity - a.similarity);
+                if (best.length > k) best.pop();
+            }
+        });
+
+        return best;
+    },
+
+    /**
+     * Render a neighbour list into the explorer panel
+     * @param {Object[]} neighbours - Array of { word, similarity }
+     * @param {string} heading - Panel heading
+     */
+    renderResults(neighbours, heading) {
+        if (!this.resultsEl) return;
+
+        const source = EmbeddingsVisualizer.table
+            ? ''
+            : '<div class="layer-note simulated">No embedding table loaded · searching prompt tokens only</div>';
+
+        const rows = neighbours.map(({ word, similarity }) => `
+            <div class="similarity-row">
+                <span class="similarity-word">${escapeHTML(word)}</span>
+                <div class="similarity-bar-container">
+                    <div class="similarity-bar${similarity < 0 ? ' negative' : ''}" style="width: ${Math.abs(similarity) * 100}%"></div>
+                </div>
+                <span class="similarity-value">${similarity.toFixed(3)}</span>
+            </div>
+        `).join('');
+
+        this.resultsEl.innerHTML = `
+            <div class="similarity-heading">${escapeHTML(heading)}</div>
+            ${rows}
+            ${source}
+        `;
+    }
+};
@@ -0,0 +1,427 @@
+/**
+ * Speculative Decoding Module
+ * A cheap draft model (the local model exited after its first blocks) proposes k tokens,
+ * the full local model verifies them in one forward pass, and each draft is accepted with
+ * probability min(1, p/q); the first rejection is resampled from the residual max(0, p − q)
+ */
+const SpeculativeDecoder = {
+    container: null,
+    statsEl: null,
+    infoEl: null,
+    result: null,       // { rounds, words } of the last run
+    run: 0,             // Bumped on every draw so stale animation timers stop
+    streaming: false,   // Tokens are being sent to the response
+    shown: false,
+
+    fields: {
+        k: { label: 'Draft k', min: 1, max: 8, step: 1 },
+        draftBlocks: { label: 'Draft blocks', min: 1, max: 8, step: 1 },
+        tokens: { label: 'Tokens', min: 4, max: 64, step: 1 }
+    },
+
+    /**
+     * Initialize the rounds view and its controls
+     */
+    init() {
+        this.container = document.getElementById('spec-rounds');
+        this.statsEl = document.getElementById('spec-stats');
+        this.infoEl = document.getElementById('spec-info');
+
+        const controls = document.getElementById('spec-controls');
+        if (controls) {
+            controls.innerHTML = Object.entries(this.fields).map(([key, field]) => `
+                <label class="layer-option">${field.label}
+                    <input type="number" class="layer-input narrow" data-key="${key}" min="${field.min}" max="${field.max}" step="${field.step}" value="${CONFIG.speculative[key]}">
+                </label>
+            `).join('') + `
+                <label class="layer-option">
+                    <input type="checkbox" id="spec-stream"${CONFIG.speculative.stream ? ' checked' : ''}>
+                    Stream to response (offline)
+                </label>
+                <button type="button" class="layer-button" id="spec-replay">Replay</button>
+            `;
+
+            controls.addEventListener('change', (e) => {
+                if (e.target.id === 'spec-stream') {
+                    CONFIG.speculative.stream = e.target.checked;
+                    return;
+                }
+
+                const key = e.target.dataset.key;
+                if (!key) return;
+                const { min, max } = this.fields[key];
+                const value = Math.round(Number(e.target.value));
+                CONFIG.speculative[key] = Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : CONFIG.speculative[key];
+                e.target.value = CONFIG.speculative[key];
+                this.render();
+            });
+
+            document.getElementById('spec-replay').addEventListener('click', () => {
+                if (this.shown && !this.streaming) {
+                    this.animate();
+                }
+            });
+        }
+    },
+
+    /**
+     * Clear the rounds view
+     */
+    clear() {
+        this.run++;
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+        if (this.statsEl) {
+            this.statsEl.innerHTML = '';
+        }
+        if (this.infoEl) {
+            this.infoEl.textContent = '';
+        }
+        this.result = null;
+        this.streaming = false;
+        this.shown = false;
+    },
+
+    /**
+     * Blocks the draft model runs (never more than the target has)
+     * @returns {number}
+     */
+    getDraftBlocks() {
+        return Math.min(CONFIG.speculative.draftBlocks, CONFIG.model.blocks);
+    },
+
+    /**
+     * Sampling distribution from log-probabilities at the current temperature (0 is greedy)
+     * @param {number[]} logProbs
+     * @returns {number[]}
+     */
+    distribution(logProbs) {
+        const temperature = CONFIG.api.temperature;
+        if (temperature > 0) {
+            return MathUtils.softmax(logProbs.map(lp => lp / temperature));
+        }
+        const best = SamplingPlayground.ranked(logProbs)[0];
+        return logProbs.map((_, i) => (i === best ? 1 : 0));
+    },
+
+    /**
+     * Draw an index from a distribution
+     * @param {number[]} probs
+     * @param {function} rng - Seeded generator
+     * @returns {number}
+     */
+    draw(probs, rng) {
+        let r = rng();
+        for (let i = 0; i < probs.length; i++) {
+            r -= probs[i];
+            if (r < 0 && probs[i] > 0) return i;
+        }
+        return SamplingPlayground.ranked(probs)[0];
+    },
+
+    /**
+     * Response text of a word: a leading space unless it starts the response or is punctuation
+     * @param {string} word
+     * @param {boolean} first
+     * @returns {string}
+     */
+    tokenText(word, first) {
+        return first || !/^[\p{L}\p{N}]/u.test(word) ? word : ` ${word}`;
+    },
+
+    /**
+     * Logprobs entry (as the API returns them) of an emitted token under the target distribution
+     * @param {string} text - Emitted token text
+     * @param {number} index - Vocabulary index
+     * @param {number[]} p - Target distribution
+     * @param {boolean} first - Whether the token starts the response
+     * @returns {Object} { token, logprob, top_logprobs }
+     */
+    logprobsEntry(text, index, p, first) {
+        const words = LocalModel.getVocabulary().words;
+        const top = SamplingPlayground.ranked(p)
+            .slice(0, CONFIG.api.topLogprobs)
+            .filter(i => p[i] > 0)
+            .map(i => ({ token: this.tokenText(words[i], first), logprob: Math.log(p[i]) }));
+
+        return { token: text, logprob: Math.log(p[index]), top_logprobs: top };
+    },
+
+    /**
+     * Generate with speculative sampling
+     * @returns {Object} { rounds: [{ drafts: [{ index, word, q, p, ratio, status }], final: { index, word, status }, emitted }], words }
+     *     Draft status: 'accepted', 'rejected' or 'discarded' (after a rejection, never verified)
+     *     Final status: 'corrected' (resampled after a rejection) or 'bonus' (every draft accepted)
+     *     Emitted: [{ word, text, logprobs }] tokens the round added to the response
+     */
+    decode() {
+        const { k, tokens, seed } = CONFIG.speculative;
+        const vocabulary = LocalModel.getVocabulary().words;
+        const draftBlocks = this.getDraftBlocks();
+        const rng = MathUtils.createRng(MathUtils.hashString(`speculative:${seed}`));
+        const words = [];
+        const rounds = [];
+
+        while (words.length < tokens) {
+            // Draft: k cheap sequential passes
+            const proposed = words.slice();
+            const drafts = [];
+            const draftDists = [];
+            for (let i = 0; i < k; i++) {
+                const q = this.distribution(LocalModel.logProbs(proposed, draftBlocks));
+                const index = this.draw(q, rng);
+                drafts.push({ index, word: vocabulary[index], q: q[index] });
+                draftDists.push(q);
+                proposed.push(vocabulary[index]);
+            }
+
+            // Verify: one target pass scores every draft position plus the one after
+            const targets = LocalModel.logProbsAt(proposed, k + 1).map(lp => this.distribution(lp));
+            const accepted = [];
+            let rejectedAt = null;
+
+            drafts.forEach((draft, i) => {
+                draft.p = targets[i][draft.index];
+                draft.ratio = draft.q > 0 ? draft.p / draft.q : 0;
+
+                if (rejectedAt !== null) {
+                    draft.status = 'discarded';
+                } else if (rng() < Math.min(1, draft.ratio)) {
+                    draft.status = 'accepted';
+                    accepted.push({ index: draft.index, p: targets[i] });
+                } else {
+                    draft.status = 'rejected';
+                    rejectedAt = i;
+                }
+            });
+
+            // The target always adds one token: a residual resample after a rejection, else a bonus
+            let final;
+            let finalDist;
+            if (rejectedAt !== null) {
+                finalDist = targets[rejectedAt];
+                const q = draftDists[rejectedAt];
+                const residual = finalDist.map((p, i) => Math.max(0, p - q[i]));
+                const mass = residual.reduce((sum, r) => sum + r, 0);
+                const index = this.draw(mass > 0 ? residual.map(r => r / mass) : finalDist, rng);
+                final = { index, word: vocabulary[index], status: 'corrected' };
+            } else {
+                finalDist = targets[k];
+                const index = this.draw(finalDist, rng);
+                final = { index, word: vocabulary[index], status: 'bonus' };
+            }
+
+            // Keep the run at the requested length
+            const emitted = accepted.concat({ index: final.index, p: finalDist })
+                .slice(0, tokens - words.length)
+                .map(({ index, p }) => {
+                    const first = words.length === 0;
+                    const text = this.tokenText(vocabulary[index], first);
+                    words.push(vocabulary[index]);
+                    return { word: vocabulary[index], text, logprobs: this.logprobsEntry(text, index, p, first) };
+                });
+
+            rounds.push({ drafts, final, emitted });
+        }
+
+        return { rounds, words };
+    },
+
+    /**
+     * Tally the first rounds: acceptance rate and speedup over plain decoding with the target
+     * A draft pass costs draftBlocks / blocks of a target pass
+     * @param {number} count - Rounds to include
+     * @returns {Object} { proposed, accepted, tokens, targetPasses, draftPasses, cost, rate, speedup }
+     */
+    tally(count) {
+        const rounds = this.result.rounds.slice(0, count);
+        const k = CONFIG.speculative.k;
+        const draftCost = this.getDraftBlocks() / CONFIG.model.blocks;
+
+        const proposed = rounds.length * k;
+        const accepted = rounds.reduce((sum, round) => sum + round.drafts.filter(d => d.status === 'accepted').length, 0);
+        const tokens = rounds.reduce((sum, round) => sum + round.emitted.length, 0);
+        const cost = rounds.length * (1 + k * draftCost);
+
+        return {
+            proposed,
+            accepted,
+            tokens,
+            targetPasses: rounds.length,
+            draftPasses: proposed,
+            cost,
+            rate: proposed > 0 ? accepted / proposed : 0,
+            speedup: cost > 0 ? tokens / cost : 0
+        };
+    },
+
+    /**
+     * Build the rounds markup; pending chips are revealed round by round by animate()
+     * @param {boolean} pending - Start every chip hidden and uncolored
+     */
+    drawRounds(pending) {
+        if (!this.container) return;
+
+        const hidden = pending ? ' pending' : '';
+        const chip = (token, status, kind, title) =>
+            `<span class="spec-token ${kind}${pending ? '' : ` ${status}`}${hidden}" data-status="${status}" title="${escapeHTML(title)}">${escapeHTML(token)}</span>`;
+
+        this.container.innerHTML = this.result.rounds.map((round, r) => {
+            const drafts = round.drafts.map(draft => chip(draft.word, draft.status, 'draft',
+                `${draft.status} · draft q ${(draft.q * 100).toFixed(1)}% · target p ${(draft.p * 100).toFixed(1)}% · accept with min(1, p/q) = ${Math.min(1, draft.ratio).toFixed(2)}`)).join('');
+            const final = chip(round.final.word, round.final.status, 'final', round.final.status === 'corrected'
+                ? 'corrected · resampled from the target residual max(0, p − q)'
+                : 'bonus · every draft accepted, so the verification pass yields one more token');
+            const accepted = round.drafts.filter(draft => draft.status === 'accepted').length;
+
+            return `
+                <div class="spec-round" data-round="${r}">
+                    <div class="spec-round-label">Round ${r + 1}</div>
+                    <div class="spec-round-tokens">${drafts}<span class="spec-arrow">→</span>${final}</div>
+                    <div class="spec-round-detail${hidden}">${accepted}/${round.drafts.length} accepted · +${round.emitted.length}</div>
+                </div>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Show the running tally
+     * @param {number} count - Rounds finished so far
+     */
+    updateStats(count) {
+        if (!this.statsEl) return;
+
+        const stats = this.tally(count);
+        this.statsEl.innerHTML = `
+            <span class="spec-stat"><strong>${(stats.rate * 100).toFixed(0)}%</strong> acceptance (${stats.accepted}/${stats.proposed} drafts)</span>
+            <span class="spec-stat"><strong>${stats.targetPasses > 0 ? (stats.tokens / stats.targetPasses).toFixed(2) : '0'}</strong> tokens per target pass</span>
+            <span class="spec-stat"><strong>×${stats.speedup.toFixed(2)}</strong> effective speedup</span>
+        `;
+    },
+
+    /**
+     * Describe the two models and the acceptance rule
+     */
+    updateInfo() {
+        if (!this.infoEl) return;
+
+        const draftBlocks = this.getDraftBlocks();
+        const blocks = CONFIG.model.blocks;
+        const { k } = CONFIG.speculative;
+        const same = draftBlocks >= blocks ? ' · the draft is as deep as the target, so drafting cannot save time' : '';
+        const source = EmbeddingsVisualizer.table ? '' : ' · no embedding table, so only the prompt\'s words are candidates';
+        // Masks that let earlier tokens see later ones change a position's prediction once drafts follow it
+        const exact = AttentionVisualizer.getMask().causal;
+
+        this.infoEl.classList.toggle('simulated', !EmbeddingsVisualizer.table || !exact);
+        this.infoEl.textContent = `Draft: first ${draftBlocks} of ${blocks} blocks (a pass costs ${(draftBlocks / blocks).toFixed(2)} of the target's) · ` +
+            `target verifies ${k} drafts in one pass · accept with probability min(1, p/q), resample the first rejection from max(0, p − q) · ` +
+            `speedup = tokens / (target passes + draft passes × draft cost) · temperature ${CONFIG.api.temperature}${same}${source}` +
+            (exact ? '' : ' · this mask lets earlier tokens see later ones, so one-pass verification scores each draft with the drafts after it in view and accepted tokens differ from what the target would sample token by token');
+    },
+
+    /**
+     * Run the decoder for the current settings
+     * @returns {boolean} Whether there was a forward pass to continue from
+     */
+    compute() {
+        this.run++;
+        if (!LocalModel.isReady()) {
+            this.result = null;
+            if (this.container) this.container.innerHTML = '';
+            if (this.statsEl) this.statsEl.innerHTML = '';
+            return false;
+        }
+
+        this.result = this.decode();
+        return true;
+    },
+
+    /**
+     * Recompute and draw every round without animation
+     * Skipped while the rounds are being streamed to the response
+     */
+    render() {
+        if (!this.shown || this.streaming || !this.compute()) return;
+
+        this.drawRounds(false);
+        this.updateStats(this.result.rounds.length);
+        this.updateInfo();
+    },
+
+    /**
+     * Play the rounds: drafts appear, then are accepted or rejected and the target's token is added
+     * @param {function|null} onToken - Receives each emitted token as (text, logprobs), like an API stream
+     * @returns {Promise} Resolves when animation is complete, rejects if decoding or a callback throws
+     */
+    async animate(onToken = null) {
+        return new Promise((resolve, reject) => {
+            // Errors thrown in a timer would otherwise leave the promise pending
+            const guard = (fn) => () => {
+                try {
+                    fn();
+                } catch (error) {
+                    this.streaming = false;
+                    reject(error);
+                }
+            };
+
+            if (!this.compute()) {
+                resolve();
+                return;
+            }
+
+            const run = this.run;
+            const roundDelay = getTiming('outputTokenDelay') * 8;
+            const rounds = this.result.rounds;
+            this.streaming = Boolean(onToken);
+
+            this.drawRounds(true);
+            this.updateStats(0);
+            this.updateInfo();
+
+            rounds.forEach((round, r) => {
+                setTimeout(guard(() => {
+                    // A newer run cleared the rounds; stop drawing this one
+                    if (run !== this.run) {
+                        resolve();
+                        return;
+                    }
+                    const row = this.container.querySelector(`[data-round="${r}"]`);
+                    row.querySelectorAll('.spec-token.draft').forEach(el => el.classList.remove('pending'));
+
+                    // Verification: color the drafts and add the target's token
+                    setTimeout(guard(() => {
+                        if (run !== this.run) {
+                            resolve();
+                            return;
+                        }
+                        row.querySelectorAll('.pending').forEach(el => el.classList.remove('pending'));
+                        row.querySelectorAll('.spec-token').forEach(el => el.classList.add(el.dataset.status));
+                        this.updateStats(r + 1);
+
+                        if (onToken) {
+                            round.emitted.forEach(token => onToken(token.text, [token.logprobs]));
+                        }
+
+                        if (r === rounds.length - 1) {
+                            this.streaming = false;
+                            resolve();
+                        }
+                    }), roundDelay / 2);
+                }), r * roundDelay);
+            });
+        });
+    },
+
+    /**
+     * Show the decoder for the latest forward pass
+     * @param {function|null} onToken - Stream the emitted tokens here (see animate)
+     * @returns {Promise} Resolves when animation is complete
+     */
+    show(onToken = null) {
+        this.shown = true;
+        return this.animate(onToken);
+    }
+};
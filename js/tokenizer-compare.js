@@ -0,0 +1,225 @@
+/**
+ * Tokenizer Comparison Module
+ * Runs the same prompt through several tokenization strategies side by side
+ */
+const TokenizerComparison = {
+    container: null,
+    toggle: null,
+    lastText: '',
+    wordpieceVocab: null,
+    wordpieceSource: null,
+    loadPromise: null,
+
+    // Strategies shown as rows, in display order
+    strategies: [
+        { key: 'whitespace', label: 'Whitespace', method: 'tokenizeWhitespace' },
+        { key: 'bpe', label: 'Byte-level BPE', method: 'tokenizeBPE' },
+        { key: 'wordpiece', label: 'WordPiece', method: 'tokenizeWordPiece' },
+        { key: 'character', label: 'Character', method: 'tokenizeCharacters' }
+    ],
+
+    /**
+     * Initialize the comparison panel
+     */
+    init() {
+        this.container = document.getElementById('tokenizer-compare');
+        this.toggle = document.getElementById('compare-tokenizers');
+
+        if (this.toggle) {
+            this.toggle.addEventListener('change', () => this.render(this.lastText));
+        }
+    },
+
+    /**
+     * Clear the comparison panel
+     */
+    clear() {
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+        this.lastText = '';
+    },
+
+    /**
+     * Load a WordPiece vocab.txt if present (cached after the first call)
+     * Falls back to a vocabulary derived from the BPE vocab
+     * @returns {Promise<boolean>} True if a vocab.txt was loaded
+     */
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = fetch(CONFIG.tokenizer.wordpieceVocabUrl)
+                .then(response => {
+                    if (!response.ok) throw new Error(`Could not load ${CONFIG.tokenizer.wordpieceVocabUrl}`);
+                    return response.text();
+                })
+                .then(text => {
+                    this.wordpieceVocab = new Set(text.split('\n').map(line => line.trim()).filter(Boolean));
+                    this.wordpieceSource = 'vocab.txt';
+                    return true;
+                })
+                .catch(() => false);
+        }
+        return this.loadPromise;
+    },
+
+    /**
+     * Whitespace split
+     * @param {string} text - Input text
+     * @returns {Object} { tokens }
+     */
+    tokenizeWhitespace(text) {
+        return { tokens: text.split(/\s+/).filter(Boolean) };
+    },
+
+    /**
+     * Byte-level BPE (same tokenizer as the main pipeline)
+     * @param {string} text - Input text
+     * @returns {Object|null} { tokens } or null if no merge table is loaded
+     */
+    tokenizeBPE(text) {
+        if (!BPETokenizer.isLoaded()) return null;
+        const pieces = BPETokenizer.encode(text);
+        return { tokens: pieces.map(p => p.byteFallback ? BPETokenizer.byteFallbackLabel(p) : p.text) };
+    },
+
+    /**
+     * WordPiece: greedy longest-match-first with ## continuation pieces
+     * @param {string} text - Input text
+     * @returns {Object|null} { tokens, note } or null if no vocabulary is available
+     */
+    tokenizeWordPiece(text) {
+        const vocab = this.getWordPieceVocab();
+        if (!vocab) return null;
+
+        // bert-base-uncased style vocab.txt expects lowercased input
+        const input = this.wordpieceSource === 'vocab.txt' ? text.toLowerCase() : text;
+        const words = input.match(/[\p{L}\p{M}\p{N}]+|[^\s\p{L}\p{M}\p{N}]/gu) || [];
+        const tokens = [];
+
+        words.forEach(word => {
+            const chars = Array.from(word);
+            const wordTokens = [];
+            let start = 0;
+
+            while (start < chars.length) {
+                let end = chars.length;
+                let match = null;
+
+                // Shrink the candidate until it is in the vocabulary
+                while (start < end) {
+                    const candidate = (start > 0 ? '##' : '') + chars.slice(start, end).join('');
+                    if (vocab.has(candidate)) {
+                        match = candidate;
+                        break;
+                    }
+                    end--;
+                }
+
+                if (!match) {
+                    wordTokens.length = 0;
+                    wordTokens.push('[UNK]');
+                    break;
+                }
+
+                wordTokens.push(match);
+                start = end;
+            }
+
+            tokens.push(...wordTokens);
+        });
+
+        const note = this.wordpieceSource === 'vocab.txt' ? null : 'vocab derived from BPE';
+        return { tokens, note };
+    },
+
+    /**
+     * Get the WordPiece vocabulary, deriving one from the BPE vocab if needed
+     * Ġ-prefixed BPE pieces become word starts, the rest also serve as ## continuations
+     * @returns {Set<string>|null}
+     */
+    getWordPieceVocab() {
+        if (this.wordpieceVocab) return this.wordpieceVocab;
+        if (!BPETokenizer.isLoaded()) return null;
+
+        const vocab = new Set();
+        BPETokenizer.encoder.forEach((id, piece) => {
+            const text = BPETokenizer.decodePiece(piece);
+            if (!text.trim() || text.includes('�')) return;
+
+            if (text.startsWith(' ')) {
+                vocab.add(text.slice(1));
+            } else {
+                vocab.add(text);
+                vocab.add('##' + text);
+            }
+        });
+
+        this.wordpieceVocab = vocab;
+        this.wordpieceSource = 'bpe';
+        return vocab;
+    },
+
+    /**
+     * Character-level split (one token per grapheme)
+     * @param {string} text - Input text
+     * @returns {Object} { tokens }
+     */
+    tokenizeCharacters(text) {
+        return { tokens: splitGraphemes(text) };
+    },
+
+    /**
+     * Render one row per strategy
+     * @param {string} text - Input text
+     */
+    async render(text) {
+        this.lastText = text;
+        if (!this.container) return;
+
+        if (!text || !this.toggle || !this.toggle.checked) {
+            this.container.innerHTML = '';
+            return;
+        }
+
+        await this.load();
+
+        const charCount = splitGraphemes(text).length;
+        // Highlight the strategy the pipeline itself is using
+        const activeKey = TokenizerVisualizer.isSimulated() ? null : 'bpe';
+
+        this.container.innerHTML = this.strategies.map(strategy => {
+            const result = this[strategy.method](text);
+
+            if (!result) {
+                return `
+                    <div class="compare-row unavailable">
+                        <div class="compare-label">${strategy.label}</div>
+                        <div class="compare-tokens">Needs a vocabulary (see ${escapeHTML(CONFIG.tokenizer.vocabUrl)})</div>
+                    </div>
+                `;
+            }
+
+            const count = result.tokens.length;
+            const ratio = count > 0 ? (charCount / count).toFixed(2) : '—';
+            const chips = result.tokens.map((token, i) => {
+                const color = CONFIG.tokenColors[i % CONFIG.tokenColors.length];
+                const visible = token.replace(/ /g, '·').replace(/\n/g, '↵');
+                return `<span class="compare-token" data-color="${color}">${escapeHTML(visible)}</span>`;
+            }).join('');
+
+            return `
+                <div class="compare-row${strategy.key === activeKey ? ' active' : ''}">
+                    <div class="compare-label">
+                        ${strategy.label}
+                        ${result.note ? `<small>${result.note}</small>` : ''}
+                    </div>
+                    <div class="compare-tokens">${chips}</div>
+                    <div class="compare-stats">
+                        <span>${count} tokens</span>
+                        <span>${ratio} chars/token</span>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+};
@@ -1,16 +1,44 @@
 /**
  * Tokenizer Visualization Module
- * Simulates tokenization of input text and animates the display
+ * Tokenizes input text with byte-level BPE (or a simulated fallback) and animates the display
  */
 const TokenizerVisualizer = {
     container: null,
+    infoEl: null,
     tokens: [],
+    pieces: [],
+    mergeTrace: null,
+    simulated: true,
 
     /**
      * Initialize the tokenizer visualizer
      */
     init() {
         this.container = document.getElementById('tokens-input');
+        this.infoEl = document.getElementById('tokenizer-info');
+
+        const replayToggle = document.getElementById('bpe-replay');
+        if (replayToggle) {
+            replayToggle.checked = CONFIG.tokenizer.replayMerges;
+            replayToggle.addEventListener('change', () => {
+                CONFIG.tokenizer.replayMerges = replayToggle.checked;
+            });
+        }
+
+        // Start loading vocab/merges early so the first run doesn't wait
+        BPETokenizer.load().then(() => this.updateInfo());
+    },
+
+    /**
+     * Describe which tokenizer is active
+     */
+    updateInfo() {
+        if (!this.infoEl) return;
+
+        this.infoEl.classList.toggle('simulated', !BPETokenizer.isLoaded());
+        this.infoEl.textContent = BPETokenizer.isLoaded()
+            ? `Byte-level BPE · ${BPETokenizer.getVocabSize().toLocaleString()} vocab · ${BPETokenizer.bpeRanks.size.toLocaleString()} merges`
+            : `Simulated word split · add ${CONFIG.tokenizer.vocabUrl} and ${CONFIG.tokenizer.mergesUrl} for real BPE`;
     },
 
     /**
@@ -21,53 +49,139 @@ const TokenizerVisualizer = {
             this.container.innerHTML = '';
         }
         this.tokens = [];
+        this.pieces = [];
+        this.mergeTrace = null;
     },
 
     /**
-     * Simulate tokenization of input text
-     * This is a simplified simulation - real LLM tokenizers are more complex
+     * Tokenize input text
+     * Uses byte-level BPE when vocab/merges are loaded, otherwise a simple word split
      * @param {string} text - Input text to tokenize
-     * @returns {string[]} Array of tokens
+     * @param {string[]|null} specialTokens - Template special tokens to keep whole;
+     *     when null the text is wrapped in <BOS>/<EOS> instead
+     * @returns {string[]} Array of token strings
      */
-    tokenize(text) {
-        // Simple tokenization simulation
-        // Split by spaces and punctuation, keeping punctuation as separate tokens
-        const rawTokens = text.match(/[\w']+|[.,!?;:'"()\[\]{}—–-]/g) || [];
+    tokenize(text, specialTokens = null) {
+        this.simulated = !BPETokenizer.isLoaded();
 
-        // Add special tokens
-        this.tokens = ['<BOS>', ...rawTokens, '<EOS>'];
+        const segments = specialTokens
+            ? this.splitSpecialTokens(text, specialTokens)
+            : [{ text: '<BOS>', special: true }, { text }, { text: '<EOS>', special: true }];
+
+        // Layout keeps specials and pre-tokens in order for the merge replay
+        const words = [];
+        const steps = [];
+        const layout = [];
+        this.pieces = [];
+
+        segments.forEach(segment => {
+            if (segment.special) {
+                layout.push({ piece: this.pieces.length });
+                this.pieces.push(this.createSpecialPiece(segment.text));
+                return;
+            }
+
+            if (this.simulated) {
+                this.pieces.push(...this.simulateTokenization(segment.text));
+                return;
+            }
+
+            this.pieces.push(...BPETokenizer.encode(segment.text));
+
+            const trace = BPETokenizer.traceMerges(segment.text);
+            trace.steps.forEach(step => steps.push({ ...step, word: step.word + words.length }));
+            trace.words.forEach(symbols => {
+                layout.push({ word: words.length });
+                words.push(symbols);
+            });
+        });
+
+        steps.sort((a, b) => a.rank - b.rank || a.word - b.word);
+        this.mergeTrace = this.simulated ? null : { words, steps, layout };
+        this.tokens = this.pieces.map(p => p.byteFallback ? BPETokenizer.byteFallbackLabel(p) : p.text);
+        this.updateInfo();
         return this.tokens;
     },
 
+    /**
+     * Split text around special tokens
+     * @param {string} text - Rendered template text
+     * @param {string[]} specialTokens - Special token strings
+     * @returns {Object[]} Array of { text, special } segments
+     */
+    splitSpecialTokens(text, specialTokens) {
+        const escaped = specialTokens.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const pattern = new RegExp(`(${escaped.join('|')})`);
+
+        return text.split(pattern)
+            .filter(Boolean)
+            .map(part => ({ text: part, special: specialTokens.includes(part) }));
+    },
+
+    /**
+     * Create a piece for a special token
+     * <BOS>/<EOS> map to the configured vocabulary entry, template tokens to themselves
+     * @param {string} token - Special token string
+     * @returns {Object} Piece object
+     */
+    createSpecialPiece(token) {
+        const vocabEntry = token === '<BOS>' || token === '<EOS>' ? CONFIG.tokenizer.specialToken : token;
+        return { piece: token, id: BPETokenizer.tokenToId(vocabEntry), text: token, special: true };
+    },
+
+    /**
+     * Simulated tokenization used when no vocabulary is available
+     * Groups letters, marks and digits into words; every other visible
+     * grapheme (punctuation, symbols, emoji) becomes its own token
+     * @param {string} text - Input text
+     * @returns {Object[]} Array of { piece, id, text } objects (ids are null)
+     */
+    simulateTokenization(text) {
+        const rawTokens = [];
+        let word = '';
+
+        splitGraphemes(text).forEach(grapheme => {
+            if (/^[\p{L}\p{M}\p{N}_']+$/u.test(grapheme)) {
+                word += grapheme;
+                return;
+            }
+            if (word) {
+                rawTokens.push(word);
+                word = '';
+            }
+            if (grapheme.trim()) {
+                rawTokens.push(grapheme);
+            }
+        });
+        if (word) rawTokens.push(word);
+
+        return rawTokens.map(token => ({ piece: token, id: null, text: token }));
+    },
+
     /**
      * Animate tokens appearing one by one
+     * Replays BPE merges first when a merge trace is available
      * @returns {Promise} Resolves when animation is complete
      */
     async animate() {
-        return new Promise((resolve) => {
-            this.container.innerHTML = '';
+        if (this.mergeTrace && CONFIG.tokenizer.replayMerges) {
+            await this.animateMerges();
 
-            this.tokens.forEach((token, index) => {
-                const tokenEl = document.createElement('div');
-                tokenEl.className = 'token';
-
-                // Mark special tokens
-                if (token === '<BOS>' || token === '<EOS>') {
-                    tokenEl.classList.add('special');
-                } else {
-                    // Assign a color based on index
-                    const colorIndex = index % CONFIG.tokenColors.length;
-                    tokenEl.setAttribute('data-color', CONFIG.tokenColors[colorIndex]);
-                }
+            // Swap the fused boxes for the final tokens with their ids
+            this.container.innerHTML = '';
+            this.pieces.forEach((piece, index) => {
+                const tokenEl = this.createTokenElement(piece, index);
+                tokenEl.classList.add('visible');
+                this.container.appendChild(tokenEl);
+            });
+            return;
+        }
 
-                // Token content
-                const displayText = token === '<BOS>' ? '⟨BOS⟩' :
-                    token === '<EOS>' ? '⟨EOS⟩' : token;
-                tokenEl.innerHTML = `
-                    <span class="token-text">${displayText}</span>
-                    <span class="token-index">${index}</span>
-                `;
+        return new Promise((resolve) => {
+            this.container.innerHTML = '';
 
+            this.pieces.forEach((piece, index) => {
+                const tokenEl = this.createTokenElement(piece, index);
                 this.container.appendChild(tokenEl);
 
                 // Animate with delay
@@ -88,6 +202,218 @@ const TokenizerVisualizer = {
         });
     },
 
+    /**
+     * Append a generated token to the row (autoregressive decoding)
+     * The provider's token is kept whole; its id is looked up when the vocabulary has it
+     * @param {string} text - Generated token text
+     * @returns {number} Position of the new token
+     */
+    append(text) {
+        const id = BPETokenizer.isLoaded() ? BPETokenizer.tokenToId(BPETokenizer.toByteLevel(text)) : null;
+        const piece = { piece: text, id, text, generated: true };
+        const index = this.pieces.length;
+
+        // New arrays: the prompt's token list is still held by the attention layer for recomputes
+        this.pieces = this.pieces.concat(piece);
+        this.tokens = this.tokens.concat(text);
+
+        if (this.container) {
+            const tokenEl = this.createTokenElement(piece, index);
+            this.container.appendChild(tokenEl);
+            requestAnimationFrame(() => tokenEl.classList.add('visible'));
+        }
+        return index;
+    },
+
+    /**
+     * Create the box for a final token
+     * @param {Object} piece - Piece object
+     * @param {number} index - Position in the sequence
+     * @returns {HTMLElement} Token element
+     */
+    createTokenElement(piece, index) {
+        const tokenEl = document.createElement('div');
+        tokenEl.className = 'token';
+        tokenEl.dataset.index = index;
+
+        // Mark special tokens
+        if (piece.special) {
+            tokenEl.classList.add('special');
+        } else {
+            // Assign a color based on index
+            const colorIndex = index % CONFIG.tokenColors.length;
+            tokenEl.setAttribute('data-color', CONFIG.tokenColors[colorIndex]);
+        }
+
+        // Real vocabulary id when available, otherwise the position
+        const hasId = piece.id !== null && piece.id !== undefined;
+        if (!hasId) {
+            tokenEl.classList.add('no-id');
+        }
+        tokenEl.title = hasId ? `${piece.piece} → id ${piece.id}` : `${piece.piece} (position ${index})`;
+        if (!hasId && piece.special && !this.simulated) {
+            tokenEl.title = `${piece.piece} (not in the loaded vocabulary, position ${index})`;
+        }
+
+        if (piece.generated) {
+            tokenEl.classList.add('generated');
+            tokenEl.title = `${tokenEl.title} · generated, fed back as input`;
+        }
+
+        if (piece.byteFallback) {
+            tokenEl.classList.add('byte-fallback');
+            tokenEl.title = this.describeByteFallback(piece);
+        }
+
+        tokenEl.innerHTML = `
+            ${this.formatPiece(piece)}
+            <span class="token-index">${hasId ? piece.id : index}</span>
+        `;
+
+        return tokenEl;
+    },
+
+    /**
+     * Replay BPE merges: start from one box per byte and fuse adjacent
+     * boxes in merge-rank order until only the final pieces remain
+     * @returns {Promise} Resolves when every merge has been shown
+     */
+    async animateMerges() {
+        const { words, steps, layout } = this.mergeTrace;
+        const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+        this.container.innerHTML = '';
+
+        // Special tokens stay whole; one group per pre-token so merges never cross word boundaries
+        const groups = [];
+        layout.forEach(item => {
+            if (item.piece !== undefined) {
+                this.container.appendChild(this.createTokenElement(this.pieces[item.piece], item.piece));
+                return;
+            }
+
+            const group = document.createElement('div');
+            group.className = 'token-word';
+            words[item.word].forEach(symbol => group.appendChild(this.createMergeBox(symbol)));
+            this.container.appendChild(group);
+            groups[item.word] = group;
+        });
+
+        // Let the raw bytes settle in before merging
+        await wait(getTiming('tokenDelay'));
+        this.container.querySelectorAll('.token').forEach(el => el.classList.add('visible'));
+        await wait(getTiming('tokenDelay') * 3);
+
+        for (const step of steps) {
+            const [left, right] = step.pair;
+            const boxes = Array.from(groups[step.word].children);
+            const absorbed = [];
+
+            for (let i = 0; i < boxes.length - 1; i++) {
+                if (boxes[i].dataset.piece === left && boxes[i + 1].dataset.piece === right) {
+                    this.setMergeBoxPiece(boxes[i], left + right);
+                    boxes[i].classList.add('fusing');
+                    boxes[i + 1].classList.add('absorbed');
+                    absorbed.push(boxes[i + 1]);
+                    i++;
+                }
+            }
+
+            this.setMergeStatus(step);
+
+            // getTiming is read per step so speed buttons apply mid-replay
+            await wait(getTiming('bpeMerge'));
+            absorbed.forEach(box => box.remove());
+            groups[step.word].querySelectorAll('.fusing').forEach(box => box.classList.remove('fusing'));
+        }
+
+        this.setMergeStatus(null);
+        await wait(getTiming('tokenDelay'));
+    },
+
+    /**
+     * Tooltip mapping a byte-fallback piece back to the original grapheme(s)
+     * @param {Object} piece - Byte-fallback piece
+     * @returns {string} Tooltip text
+     */
+    describeByteFallback(piece) {
+        const hex = piece.bytes.map(b => BPETokenizer.toHex(b)).join(' ');
+        const source = piece.graphemes.map(grapheme => {
+            const codePoints = Array.from(grapheme, c => 'U+' + c.codePointAt(0).toString(16).toUpperCase().padStart(4, '0'));
+            return `"${grapheme}" (${codePoints.join(' ')})`;
+        }).join(', ');
+
+        return `Byte fallback: ${hex}\nPart of ${source}\nid ${piece.id}`;
+    },
+
+    /**
+     * Create a box for an intermediate BPE symbol
+     * @param {string} symbol - Byte-level symbol
+     * @returns {HTMLElement} Merge box element
+     */
+    createMergeBox(symbol) {
+        const box = document.createElement('div');
+        box.className = 'token merge-box';
+        this.setMergeBoxPiece(box, symbol);
+        return box;
+    },
+
+    /**
+     * Update a merge box to show a (possibly merged) piece
+     * @param {HTMLElement} box - Merge box element
+     * @param {string} piece - Byte-level piece
+     */
+    setMergeBoxPiece(box, piece) {
+        const id = BPETokenizer.tokenToId(piece);
+        box.dataset.piece = piece;
+        box.title = `${piece} → id ${id}`;
+        box.innerHTML = `
+            <span class="token-text">${escapeHTML(piece)}</span>
+            <span class="token-index">${id}</span>
+        `;
+    },
+
+    /**
+     * Show the merge currently being applied under the token row
+     * @param {Object|null} step - Merge step, or null when finished
+     */
+    setMergeStatus(step) {
+        if (!this.infoEl) return;
+
+        if (step) {
+            this.infoEl.textContent = `Merge #${step.rank}: ${step.pair[0]} + ${step.pair[1]} → ${step.pair.join('')}`;
+        } else {
+            this.updateInfo();
+        }
+    },
+
+    /**
+     * Build the visible text for a piece
+     * Leading spaces (Ġ in GPT-2 vocab) get an explicit marker
+     * @param {Object} piece - Piece object
+     * @returns {string} HTML string
+     */
+    formatPiece(piece) {
+        if (piece.byteFallback) {
+            return `<span class="token-text">${escapeHTML(BPETokenizer.byteFallbackLabel(piece))}</span>`;
+        }
+
+        if (piece.special) {
+            const display = piece.text.replace(/</g, '⟨').replace(/>/g, '⟩').replace(/\n/g, '↵');
+            return `<span class="token-text">${escapeHTML(display)}</span>`;
+        }
+
+        let text = piece.text;
+        let marker = '';
+        if (text.length > 1 && text.startsWith(' ')) {
+            marker = '<span class="token-space" title="Leading space (Ġ)">␣</span>';
+            text = text.slice(1);
+        }
+
+        const visible = text.replace(/ /g, '·').replace(/\n/g, '↵').replace(/\t/g, '⇥');
+        return `${marker}<span class="token-text">${escapeHTML(visible)}</span>`;
+    },
+
     /**
      * Get current tokens
      * @returns {string[]} Current tokens array
@@ -96,11 +422,35 @@ const TokenizerVisualizer = {
         return this.tokens;
     },
 
+    /**
+     * Get current pieces with ids
+     * @returns {Object[]} Array of { piece, id, text, special } objects
+     */
+    getPieces() {
+        return this.pieces;
+    },
+
+    /**
+     * Get token ids (null for simulated tokens)
+     * @returns {(number|null)[]} Token ids
+     */
+    getTokenIds() {
+        return this.pieces.map(p => p.id);
+    },
+
+    /**
+     * Check whether the current tokens come from the simulated fallback
+     * @returns {boolean}
+     */
+    isSimulated() {
+        return this.simulated;
+    },
+
     /**
      * Get token count (excluding special tokens)
      * @returns {number} Token count
      */
     getTokenCount() {
-        return this.tokens.filter(t => !t.startsWith('<')).length;
+        return this.pieces.filter(p => !p.special).length;
     }
 };
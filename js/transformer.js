@@ -0,0 +1,483 @@
+/**
+ * Transformer Blocks Module
+ * Runs the residual stream through N pre-norm blocks (Norm → Attention → +, Norm → FFN → +)
+ * and visualizes the stream vector per token after every step
+ */
+const TransformerBlocks = {
+    container: null,
+    infoEl: null,
+    result: null,       // { tokens, offset, stages, blocks } of the last forward pass
+    weights: null,      // Cached seeded Wo and FFN matrices per block
+    expanded: new Set([0]),
+    shown: false,
+
+    norms: {
+        layernorm: 'LayerNorm',
+        rmsnorm: 'RMSNorm'
+    },
+
+    activations: {
+        relu: 'ReLU',
+        gelu: 'GELU',
+        swiglu: 'SwiGLU'
+    },
+
+    /**
+     * Initialize the block list and its controls
+     */
+    init() {
+        this.container = document.getElementById('blocks-display');
+        this.infoEl = document.getElementById('blocks-info');
+
+        if (this.container) {
+            this.container.addEventListener('click', (e) => {
+                const header = e.target.closest('.block-header');
+                if (!header) return;
+                const block = Number(header.dataset.block);
+                if (this.expanded.has(block)) {
+                    this.expanded.delete(block);
+                } else {
+                    this.expanded.add(block);
+                }
+                header.parentElement.classList.toggle('expanded', this.expanded.has(block));
+            });
+        }
+
+        const blocksInput = document.getElementById('model-blocks');
+        if (blocksInput) {
+            blocksInput.value = CONFIG.model.blocks;
+            blocksInput.addEventListener('change', () => {
+                const value = Math.min(12, Math.max(1, Math.round(Number(blocksInput.value)) || 1));
+                blocksInput.value = value;
+                CONFIG.model.blocks = value;
+                AttentionVisualizer.syncControls();
+                AttentionVisualizer.recompute();
+            });
+        }
+
+        const normSelect = document.getElementById('model-norm');
+        if (normSelect) {
+            normSelect.innerHTML = Object.entries(this.norms)
+                .map(([key, label]) => `<option value="${key}">${label}</option>`)
+                .join('');
+            normSelect.value = CONFIG.model.norm;
+            normSelect.addEventListener('change', () => {
+                CONFIG.model.norm = normSelect.value;
+                AttentionVisualizer.recompute();
+            });
+        }
+    },
+
+    /**
+     * Clear the block list
+     */
+    clear() {
+        if (this.container) {
+            this.container.innerHTML = '';
+        }
+        if (this.infoEl) {
+            this.infoEl.textContent = '';
+        }
+        this.result = null;
+        this.shown = false;
+    },
+
+    /**
+     * Normalize a vector with the configured norm (unit gain, zero bias)
+     * LayerNorm centres and scales to unit variance; RMSNorm only rescales
+     * @param {number[]} vector
+     * @returns {number[]}
+     */
+    normalize(vector) {
+        const eps = 1e-5;
+        const n = vector.length;
+
+        if (CONFIG.model.norm === 'rmsnorm') {
+            const rms = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0) / n + eps);
+            return vector.map(x => x / rms);
+        }
+
+        const mean = vector.reduce((sum, x) => sum + x, 0) / n;
+        const variance = vector.reduce((sum, x) => sum + (x - mean) * (x - mean), 0) / n;
+        const std = Math.sqrt(variance + eps);
+        return vector.map(x => (x - mean) / std);
+    },
+
+    /**
+     * Seeded output projection and FFN matrices of a block, cached per size and seed
+     * The FFN has ffnLayers - 2 hidden layers of ffnDim units; every hidden layer also
+     * gets a gate matrix so switching to SwiGLU keeps the other weights unchanged.
+     * Experts and the router are seeded separately so the dense FFN stays the same in MoE mode
+     * @param {number} dModel - Residual stream size
+     * @param {number} block - Block index
+     * @returns {Object} { Wo, ffn: [{ W, Wg }], router, experts: [[{ W, Wg }]] }
+     */
+    getBlockWeights(dModel, block) {
+        const { seed, headDim, ffnDim, initScale, residualScale } = CONFIG.model;
+        const heads = CONFIG.visualization.attentionHeads;
+        const depth = Math.max(2, CONFIG.visualization.ffnLayers) - 1;
+        const key = `${dModel}:${heads}:${headDim}:${ffnDim}:${depth}:${seed}:${initScale}:${residualScale}`;
+
+        if (!this.weights || this.weights.key !== key) {
+            this.weights = { key, blocks: [] };
+        }
+
+        if (!this.weights.blocks[block]) {
+            const rng = MathUtils.createRng(MathUtils.hashString(`block:${seed}:${block}`));
+            const concat = heads * headDim;
+            const Wo = MathUtils.randomMatrix(concat, dModel, rng, residualScale / Math.sqrt(concat));
+            this.weights.blocks[block] = { Wo, ffn: this.createFFNWeights(dModel, rng), router: null, experts: [] };
+        }
+
+        const weights = this.weights.blocks[block];
+        if (CONFIG.model.moe.enabled) {
+            const experts = CONFIG.model.moe.experts;
+            if (!weights.router || weights.router[0].length !== experts) {
+                const routerRng = MathUtils.createRng(MathUtils.hashString(`router:${seed}:${block}`));
+                weights.router = MathUtils.randomMatrix(dModel, experts, routerRng, initScale / Math.sqrt(dModel));
+            }
+            for (let e = weights.experts.length; e < experts; e++) {
+                const expertRng = MathUtils.createRng(MathUtils.hashString(`expert:${seed}:${block}:${e}`));
+                weights.experts.push(this.createFFNWeights(dModel, expertRng));
+            }
+        }
+        return weights;
+    },
+
+    /**
+     * Seeded matrices of one feed-forward network (dModel → ffnDim … → dModel)
+     * @param {number} dModel - Residual stream size
+     * @param {Function} rng - Seeded random source
+     * @returns {Object[]} One { W, Wg } per layer; the output layer has no gate
+     */
+    createFFNWeights(dModel, rng) {
+        const { ffnDim, initScale, residualScale } = CONFIG.model;
+        const depth = Math.max(2, CONFIG.visualization.ffnLayers) - 1;
+
+        return Array.from({ length: depth }, (_, l) => {
+            const fanIn = l === 0 ? dModel : ffnDim;
+            const last = l === depth - 1;
+            const fanOut = last ? dModel : ffnDim;
+            const std = (last ? residualScale : initScale) / Math.sqrt(fanIn);
+            return {
+                W: MathUtils.randomMatrix(fanIn, fanOut, rng, std),
+                Wg: last ? null : MathUtils.randomMatrix(fanIn, fanOut, rng, std)
+            };
+        });
+    },
+
+    /**
+     * Apply the configured activation to a hidden layer
+     * ReLU and GELU act element-wise; SwiGLU multiplies Swish(x·W) by a linear branch x·Wg
+     * @param {number} pre - Pre-activation value (x·W)
+     * @param {number} linear - Linear branch value (x·Wg), only used by SwiGLU
+     * @returns {number}
+     */
+    activate(pre, linear) {
+        switch (CONFIG.model.activation) {
+            case 'gelu':
+                return 0.5 * pre * (1 + Math.tanh(Math.sqrt(2 / Math.PI) * (pre + 0.044715 * pre ** 3)));
+            case 'swiglu':
+                return this.activationCurve(pre) * linear;
+            default:
+                return Math.max(0, pre);
+        }
+    },
+
+    /**
+     * Element-wise part of the activation (Swish for SwiGLU), used for plotting
+     * @param {number} x
+     * @returns {number}
+     */
+    activationCurve(x) {
+        switch (CONFIG.model.activation) {
+            case 'gelu':
+                return this.activate(x, 0);
+            case 'swiglu':
+                return x / (1 + Math.exp(-x));
+            default:
+                return Math.max(0, x);
+        }
+    },
+
+    /**
+     * Position-wise feed-forward network: activation(X·W)·W… through every hidden layer
+     * @param {number[][]} X - Normalized inputs
+     * @param {Object[]} ffn - Layer weights from createFFNWeights()
+     * @returns {Object} { layers: [{ pre, linear, post }] (input first), output }
+     */
+    feedForward(X, ffn) {
+        const layers = [{ pre: X, linear: null, post: X }];
+        let h = X;
+
+        ffn.forEach(({ W, Wg }) => {
+            const pre = MathUtils.matMul(h, W);
+            if (!Wg) {
+                layers.push({ pre, linear: null, post: pre });
+                h = pre;
+                return;
+            }
+
+            const linear = CONFIG.model.activation === 'swiglu' ? MathUtils.matMul(h, Wg) : null;
+            const post = pre.map((row, i) => row.map((x, j) => this.activate(x, linear ? linear[i][j] : 0)));
+            layers.push({ pre, linear, post });
+            h = post;
+        });
+
+        return { layers, output: h };
+    },
+
+    /**
+     * Router: softmax over experts per token, keeping the top-k
+     * The chosen experts' gates are renormalized to sum to 1
+     * @param {number[][]} X - Normalized inputs
+     * @param {number[][]} router - d_model × experts matrix
+     * @returns {Object[]} Per token { probs, chosen: [{ expert, gate }] }, best first
+     */
+    route(X, router) {
+        const topK = Math.min(CONFIG.model.moe.topK, router[0].length);
+
+        return MathUtils.matMul(X, router).map(logits => {
+            const probs = MathUtils.softmax(logits);
+            const top = probs
+                .map((p, expert) => ({ expert, p }))
+                .sort((a, b) => b.p - a.p)
+                .slice(0, topK);
+            const total = top.reduce((sum, item) => sum + item.p, 0);
+            return { probs, chosen: top.map(item => ({ expert: item.expert, gate: item.p / total })) };
+        });
+    },
+
+    /**
+     * Mixture-of-experts FFN: each token's output is the gate-weighted sum of its top-k experts
+     * Every expert runs on the whole batch for simplicity; only routed tokens use its output
+     * @param {number[][]} X - Normalized inputs
+     * @param {Object} weights - Block weights from getBlockWeights()
+     * @returns {Object} { routing, experts: [{ layers, output }], output }
+     */
+    mixtureOfExperts(X, weights) {
+        const routing = this.route(X, weights.router);
+        const experts = weights.experts
+            .slice(0, CONFIG.model.moe.experts)
+            .map(ffn => this.feedForward(X, ffn));
+
+        const output = X.map((row, i) => {
+            const out = new Array(row.length).fill(0);
+            routing[i].chosen.forEach(({ expert, gate }) => {
+                experts[expert].output[i].forEach((v, d) => {
+                    out[d] += gate * v;
+                });
+            });
+            return out;
+        });
+
+        return { routing, experts, output };
+    },
+
+    /**
+     * Run the full forward pass and keep it as the result shown by every layer
+     * @param {string[]} tokens - Array of tokens
+     * @param {Object[]} embeddings - Embeddings with an encoded vector (see PositionalEncoding.apply)
+     * @returns {Object} { tokens, offset, stages: [{ kind, label, block, vectors, delta }], blocks: [{ attention, ffn, input, ffnInput }] }
+     *     offset: position of the first shown token in the full sequence (see windowStart)
+     */
+    forward(tokens, embeddings = []) {
+        this.result = this.run(tokens, embeddings);
+        return this.result;
+    },
+
+    /**
+     * First position of the shown window: the tail of the sequence, so under a chat template
+     * the user's turn and the assistant header are shown rather than the system prompt
+     * @param {number} length - Sequence length
+     * @param {number} maxTokens - Window size
+     * @returns {number}
+     */
+    windowStart(length, maxTokens = CONFIG.visualization.attentionMaxTokens) {
+        return Math.max(0, length - maxTokens);
+    },
+
+    /**
+     * Run the full forward pass and return every intermediate residual stream
+     * Does not touch the shown result, so other token sequences can be scored (see LocalModel)
+     * @param {string[]} tokens - Array of tokens
+     * @param {Object[]} embeddings - Embeddings with an encoded vector (see PositionalEncoding.apply)
+     * @param {number} blockCount - Blocks to run before the final norm (fewer is an early exit)
+     * @param {number} maxTokens - Tokens kept from the end of the sequence
+     * @returns {Object} { tokens, offset, stages, blocks } as in forward()
+     */
+    run(tokens, embeddings = [], blockCount = CONFIG.model.blocks, maxTokens = CONFIG.visualization.attentionMaxTokens) {
+        const offset = this.windowStart(tokens.length, maxTokens);
+        const shownTokens = tokens.slice(offset);
+        const n = shownTokens.length;
+        const normLabel = this.norms[CONFIG.model.norm];
+
+        // RoPE rotates queries and keys, so the stream starts from the unrotated vectors
+        const rope = CONFIG.positional.scheme === 'rope';
+        let stream = shownTokens.map((token, i) => {
+            const emb = embeddings[offset + i];
+            if (!emb) return EmbeddingsVisualizer.placeholderVector(token);
+            return (rope ? emb.vector : (emb.encoded || emb.vector)).slice();
+        });
+
+        const stages = [{ kind: 'embedding', label: 'Embedding + position', block: null, vectors: stream, delta: null }];
+        const blocks = [];
+
+        if (n > 0) {
+            const add = (x, delta) => x.map((row, i) => row.map((v, d) => v + delta[i][d]));
+
+            for (let b = 0; b < blockCount; b++) {
+                const weights = this.getBlockWeights(stream[0].length, b);
+
+                const attnInput = stream.map(v => this.normalize(v));
+                stages.push({ kind: 'norm', label: normLabel, block: b, vectors: attnInput, delta: null });
+
+                const attention = AttentionVisualizer.computeAttention(attnInput, b, offset);
+                const attnDelta = MathUtils.matMul(attention.output, weights.Wo);
+                stream = add(stream, attnDelta);
+                stages.push({ kind: 'attention', label: '+ Attention', block: b, vectors: stream, delta: attnDelta });
+
+                const ffnInput = stream.map(v => this.normalize(v));
+                stages.push({ kind: 'norm', label: normLabel, block: b, vectors: ffnInput, delta: null });
+
+                const moe = CONFIG.model.moe.enabled;
+                const ffn = moe ? this.mixtureOfExperts(ffnInput, weights) : this.feedForward(ffnInput, weights.ffn);
+                stream = add(stream, ffn.output);
+                stages.push({ kind: 'ffn', label: moe ? '+ MoE' : '+ FFN', block: b, vectors: stream, delta: ffn.output });
+
+                blocks.push({ attention, ffn, input: attnInput, ffnInput });
+            }
+
+            stages.push({ kind: 'final', label: `Final ${normLabel}`, block: null, vectors: stream.map(v => this.normalize(v)), delta: null });
+        }
+
+        return { tokens: shownTokens, offset, stages, blocks };
+    },
+
+    /**
+     * Summarize the architecture under the block list
+     */
+    updateInfo() {
+        if (!this.infoEl) return;
+
+        const norm = this.norms[CONFIG.model.norm];
+        const { moe } = CONFIG.model;
+        const ffn = moe.enabled ? `MoE top-${Math.min(moe.topK, moe.experts)}/${moe.experts}` : 'FFN';
+        this.infoEl.textContent = `${CONFIG.model.blocks} block${CONFIG.model.blocks > 1 ? 's' : ''} · pre-${norm}: ` +
+            `x ← x + Attention(${norm}(x)), then x ← x + ${ffn}(${norm}(x)) · click a block to expand it`;
+    },
+
+    /**
+     * Build one row of per-token bar strips for a stage
+     * @param {Object} stage - Stage from forward()
+     * @param {number[]} indices - Dimensions to draw
+     * @returns {string} HTML string
+     */
+    renderStage(stage, indices) {
+        const maxAbs = Math.max(1e-6, ...stage.vectors.flatMap(v => indices.map(d => Math.abs(v[d]))));
+
+        const cells = stage.vectors.map((vector, i) => {
+            const bars = indices.map(d => {
+                const val = vector[d];
+                const height = Math.round(Math.abs(val) / maxAbs * 22) + 2;
+                const negative = val < 0 ? ' negative' : '';
+                return `<div class="embedding-bar ${stage.kind}${negative}" style="height: ${height}px;" title="dim ${d}: ${val.toFixed(3)}"></div>`;
+            }).join('');
+
+            const change = stage.delta
+                ? `‖Δ‖ ${MathUtils.norm(stage.delta[i]).toFixed(2)} · `
+                : '';
+            return `<div class="stream-cell" data-index="${i}" title="${escapeHTML(this.result.tokens[i])} · ${change}‖x‖ ${MathUtils.norm(vector).toFixed(2)}">
+                <div class="embedding-bars stream-bars">${bars}</div>
+            </div>`;
+        }).join('');
+
+        return `<div class="stream-row ${stage.kind}">
+            <div class="stream-label">${escapeHTML(stage.label)}</div>
+            ${cells}
+        </div>`;
+    },
+
+    /**
+     * Render the stage list: input, one expandable entry per block, final norm
+     */
+    render() {
+        if (!this.container || !this.shown || !this.result || this.result.tokens.length === 0) return;
+
+        const { tokens, stages } = this.result;
+        // Stream vectors live in raw dimension space, so show raw dims even in PCA mode
+        const displayed = EmbeddingsVisualizer.getDisplayIndices();
+        const indices = CONFIG.visualization.embeddingProjection === 'pca' ? displayed.map((_, i) => i) : displayed;
+
+        const header = `<div class="stream-row stream-tokens">
+            <div class="stream-label"></div>
+            ${tokens.map((token, i) => `<div class="stream-cell" data-index="${i}">${escapeHTML(token.length > 6 ? token.slice(0, 6) + '…' : token)}</div>`).join('')}
+        </div>`;
+
+        const blocks = Array.from({ length: CONFIG.model.blocks }, (_, b) => {
+            const blockStages = stages.filter(stage => stage.block === b);
+            const growth = blockStages.filter(stage => stage.delta).map(stage => {
+                const mean = stage.delta.reduce((sum, d) => sum + MathUtils.norm(d), 0) / stage.delta.length;
+                return `${stage.kind === 'ffn' ? 'FFN' : 'Attn'} ‖Δ‖ ${mean.toFixed(2)}`;
+            }).join(' · ');
+
+            return `<div class="transformer-block${this.expanded.has(b) ? ' expanded' : ''}">
+                <button class="block-header" data-block="${b}">
+                    <span class="block-title">Block ${b + 1}</span>
+                    <span class="block-summary">${growth}</span>
+                </button>
+                <div class="block-steps">${blockStages.map(stage => this.renderStage(stage, indices)).join('')}</div>
+            </div>`;
+        }).join('');
+
+        const first = stages[0];
+        const last = stages[stages.length - 1];
+
+        this.container.style.setProperty('--stream-tokens', tokens.length);
+        this.container.innerHTML = `
+            ${header}
+            ${this.renderStage(first, indices)}
+            ${blocks}
+            ${this.renderStage(last, indices)}
+        `;
+        this.updateInfo();
+    },
+
+    /**
+     * Animate the block list appearing block by block
+     * Uses the forward pass computed by the attention layer
+     * @returns {Promise} Resolves when animation is complete
+     */
+    async animate() {
+        return new Promise((resolve) => {
+            this.shown = true;
+            this.render();
+
+            const items = this.container ? Array.from(this.container.children) : [];
+            if (items.length === 0) {
+                resolve();
+                return;
+            }
+
+            const itemDelay = getTiming('ffnProcess') / items.length;
+            items.forEach((item, index) => {
+                item.classList.add('pending');
+                setTimeout(() => {
+                    item.classList.remove('pending');
+
+                    if (index === items.length - 1) {
+                        setTimeout(resolve, itemDelay);
+                    }
+                }, index * itemDelay);
+            });
+        });
+    },
+
+    /**
+     * Get the last forward pass
+     * @returns {Object|null} { tokens, stages, blocks }
+     */
+    getResult() {
+        return this.result;
+    }
+};